@@ -0,0 +1,124 @@
+// controllers/analysisJobController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import AnalysisJob from "../models/AnalysisJob.js";
+import { enqueueAnalysisJob } from "../services/analysisJobs.js";
+import { analyzeProjectHealth, saveAnalysisReport, retrievalOptionsFrom } from "../services/projectHealthAnalysis.js";
+import { analyzeProjectSources } from "../services/projectSources.js";
+import { llmOptionsFrom, resolveLLMConfig, LLMConfigError } from "../services/llm/index.js";
+
+// Comment line sent while the model is busy so proxies don't close an idle stream
+const HEARTBEAT_MS = 15000;
+
+// @desc   Start a project health analysis in the background
+// @route  POST /api/project-health/jobs
+// @body   { llm: { provider, model, host, temperature, contextSize } } (all optional)
+export const createAnalysisJob = asyncHandler(async (req, res) => {
+  const llm = llmOptionsFrom(req.body?.llm);
+  try {
+    // Reject bad settings now rather than failing the job later
+    resolveLLMConfig(llm);
+  } catch (error) {
+    if (error instanceof LLMConfigError) res.status(error.statusCode);
+    throw error;
+  }
+
+  const job = await enqueueAnalysisJob(llm);
+  res
+    .status(202)
+    .location(`${req.baseUrl}/jobs/${job._id}`)
+    .json({ id: job._id, state: job.state });
+});
+
+// @desc   Poll an analysis job for its state and, once done, its result
+// @route  GET /api/project-health/jobs/:id
+export const getAnalysisJob = asyncHandler(async (req, res) => {
+  const job = await AnalysisJob.findById(req.params.id);
+  if (!job) {
+    res.status(404);
+    throw new Error("Job not found");
+  }
+  res.json({
+    id: job._id,
+    state: job.state,
+    project: job.project,
+    progress: job.progress,
+    result: job.result,
+    report: job.report,
+    error: job.error,
+    diagnostics: job.diagnostics,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  });
+});
+
+// @desc   Run an analysis and stream it as Server-Sent Events:
+//           progress { state, current, total }
+//           chunk    { dataType, current, total, issueKeys, documentIds, extraction }
+//           token    { attempt, text }  pieces of the final synthesis as the model writes them;
+//                    a new attempt means the previous reply was rejected and is replaced
+//           report   the saved report (or the analysis if it could not be saved)
+//           error    { error, diagnostics }
+//         The stream ends after report or error.
+// @route  GET /api/project-health/stream
+// @query  project (analyse the project's snapshots instead of the shared exports),
+//         provider, model, host, temperature, contextSize,
+//         retrieval=true (retrievalQuery, retrievalLimit) to analyse only the most relevant blocks,
+//         refresh=true to ignore cached chunk extractions
+export const streamAnalysis = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(422).json({ errors: errors.array() });
+
+  const llm = llmOptionsFrom(req.query);
+  try {
+    resolveLLMConfig(llm);
+  } catch (error) {
+    if (error instanceof LLMConfigError) res.status(error.statusCode);
+    throw error;
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  // The analysis can't be cancelled once started, so a client that leaves
+  // only stops the events; the report is still saved
+  let open = true;
+  req.on("close", () => {
+    open = false;
+  });
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => open && res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  try {
+    const options = {
+      llm,
+      retrieval: retrievalOptionsFrom(req.query),
+      refresh: req.query.refresh === "true",
+      onProgress: async (state, progress = {}) => send("progress", { state, ...progress }),
+      onChunk: async (chunk) => send("chunk", chunk),
+      onToken: async (text, { attempt }) => send("token", { attempt, text }),
+    };
+    const run = req.query.project
+      ? await analyzeProjectSources(req.query.project, options)
+      : await analyzeProjectHealth(options);
+    const report = await saveAnalysisReport(run);
+    send("report", report || { ...run.analysis, processing: run.processing });
+  } catch (error) {
+    console.error("Streamed analysis failed:", error);
+    send("error", {
+      error: error.statusCode ? error.message : "Failed to analyze project health",
+      diagnostics: error.diagnostics,
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
@@ -0,0 +1,318 @@
+// controllers/projectController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import Project from "../models/Project.js";
+import ProjectHealth from "../models/ProjectHealth.js";
+import SourceSnapshot from "../models/SourceSnapshot.js";
+import JiraIssue from "../models/JiraIssue.js";
+import ScheduledRun from "../models/ScheduledRun.js";
+import Conversation from "../models/Conversation.js";
+import Risk from "../models/Risk.js";
+import Recommendation from "../models/Recommendation.js";
+import Embedding from "../models/Embedding.js";
+import { syncProjectSources, analyzeProjectSources, loadProjectSources } from "../services/projectSources.js";
+import { saveAnalysisReport, retrievalOptionsFrom } from "../services/projectHealthAnalysis.js";
+import { enqueueAnalysisJob } from "../services/analysisJobs.js";
+import { configureSchedule, triggerProjectRun, withProjectLock } from "../services/scheduler.js";
+import { askProject } from "../services/projectQA.js";
+import { llmOptionsFrom, resolveLLMConfig } from "../services/llm/index.js";
+
+const EDITABLE_FIELDS = ["name", "description", "owner", "jiraEpics", "confluencePages"];
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+const findProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+  return project;
+};
+
+// @desc   Create a project
+// @route  POST /api/projects
+// @body   { name, owner, description?, jiraEpics?: [...], confluencePages?: [...] }
+export const createProject = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const project = await Project.create(pick(req.body, EDITABLE_FIELDS));
+  res.status(201).json(project);
+});
+
+// @desc   Get all projects (?page=1&limit=10)
+// @route  GET /api/projects
+export const getProjects = asyncHandler(async (req, res) => {
+  let { page = 1, limit = 10 } = req.query;
+  page = Number(page);
+  limit = Number(limit);
+
+  const skip = (page - 1) * limit;
+  const total = await Project.countDocuments();
+  const projects = await Project.find().skip(skip).limit(limit).sort({ name: 1 });
+
+  res.json({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    data: projects,
+  });
+});
+
+// @desc   Get single project
+// @route  GET /api/projects/:id
+export const getProjectById = asyncHandler(async (req, res) => {
+  res.json(await findProject(req, res));
+});
+
+// @desc   Update project
+// @route  PUT /api/projects/:id
+export const updateProject = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  Object.assign(project, pick(req.body, EDITABLE_FIELDS));
+  await project.save();
+  res.json(project);
+});
+
+// @desc   Delete project with its source snapshots, synced issues, run history, conversations,
+//         tracked risks and recommendations and search index (reports are kept)
+// @route  DELETE /api/projects/:id
+export const deleteProject = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  await SourceSnapshot.deleteMany({ project: project._id });
+  await JiraIssue.deleteMany({ project: project._id });
+  await ScheduledRun.deleteMany({ project: project._id });
+  await Conversation.deleteMany({ project: project._id });
+  await Risk.deleteMany({ project: project._id });
+  await Recommendation.deleteMany({ project: project._id });
+  await Embedding.deleteMany({ project: project._id });
+  await project.deleteOne();
+  res.json({ message: "Project removed" });
+});
+
+// @desc   Sync the project's Jira epics (only issues changed since the last sync)
+//         and Confluence pages into new snapshots
+// @route  POST /api/projects/:id/sync
+// @query  full=true to refetch every Jira issue
+// 409 while a scheduled or manual run holds the project
+export const syncProject = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  try {
+    const result = await withProjectLock(project._id, async (locked) => {
+      const summary = await syncProjectSources(locked, { full: req.query.full === "true" });
+      return { project: locked._id, lastSyncedAt: locked.lastSyncedAt, ...summary };
+    });
+    res.json(result);
+  } catch (failure) {
+    // Invalid references come back as the fetchers' plain result objects
+    if (!(failure instanceof Error)) return res.status(422).json(failure);
+    // ProjectBusyError
+    if (failure.statusCode) res.status(failure.statusCode);
+    throw failure;
+  }
+});
+
+// @desc   List the project's source snapshots, newest first (without content)
+// @route  GET /api/projects/:id/snapshots
+export const getProjectSnapshots = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  const snapshots = await SourceSnapshot.find({ project: project._id }).sort({ createdAt: -1 });
+  res.json(snapshots);
+});
+
+// @desc   Analyse the project's latest snapshots and store the report
+// @route  POST /api/projects/:id/health
+// @query  provider, model, host, temperature, contextSize (all optional),
+//         retrieval=true to analyse only the most relevant issues and document sections
+//         (retrievalQuery, retrievalLimit), refresh=true to ignore cached chunk extractions
+// 409 while a scheduled or manual run holds the project
+export const analyzeProject = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  try {
+    const run = await withProjectLock(project._id, () =>
+      analyzeProjectSources(project._id, {
+        llm: llmOptionsFrom(req.query),
+        retrieval: retrievalOptionsFrom(req.query),
+        refresh: req.query.refresh === "true",
+      })
+    );
+    const report = await saveAnalysisReport(run);
+    res.status(201).json(report || { ...run.analysis, project: project._id, processing: run.processing });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    // ModelOutputError, LLMConfigError, MissingSourcesError, EmbeddingError, ExtractionError,
+    // LLMTimeoutError, ProjectBusyError
+    res.status(error.statusCode).json({ error: error.message, diagnostics: error.diagnostics });
+  }
+});
+
+// @desc   Analyse the project's latest snapshots in the background
+// @route  POST /api/projects/:id/health/jobs
+// @body   { llm: { provider, model, host, temperature, contextSize } } (all optional)
+export const createProjectAnalysisJob = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  const llm = llmOptionsFrom(req.body?.llm);
+  try {
+    resolveLLMConfig(llm);
+    // Fail now rather than in the job if there is nothing to analyse
+    await loadProjectSources(project._id);
+  } catch (error) {
+    // LLMConfigError, MissingSourcesError
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+
+  const job = await enqueueAnalysisJob(llm, project._id);
+  res
+    .status(202)
+    .location(`/api/project-health/jobs/${job._id}`)
+    .json({ id: job._id, state: job.state, project: project._id });
+});
+
+// @desc   Latest health report of the project
+// @route  GET /api/projects/:id/health
+export const getProjectHealth = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  const report = await ProjectHealth.findOne({ project: project._id }).sort({ createdAt: -1 });
+  if (!report) {
+    res.status(404);
+    throw new Error("No health report for this project yet");
+  }
+  res.json(report);
+});
+
+// @desc   All health reports of the project (?page=1&limit=10)
+// @route  GET /api/projects/:id/reports
+export const getProjectReports = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  let { page = 1, limit = 10 } = req.query;
+  page = Number(page);
+  limit = Number(limit);
+
+  const filter = { project: project._id };
+  const skip = (page - 1) * limit;
+  const total = await ProjectHealth.countDocuments(filter);
+  const reports = await ProjectHealth.find(filter).skip(skip).limit(limit).sort({ createdAt: -1 });
+
+  res.json({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    data: reports,
+  });
+});
+
+// @desc   Set the project's refresh schedule
+// @route  PUT /api/projects/:id/schedule
+// @body   { cron: "0 7 * * 1-5", enabled?: true } (cron in server local time)
+export const updateProjectSchedule = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  try {
+    await configureSchedule(project, req.body);
+  } catch (error) {
+    // CronError
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+  res.json(project.schedule);
+});
+
+// @desc   Refresh the project now: sync sources, then analyse
+// @route  POST /api/projects/:id/runs
+export const triggerProjectRefresh = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  let run;
+  try {
+    run = await triggerProjectRun(project._id);
+  } catch (error) {
+    // ProjectBusyError
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+  res.status(202).location(`${req.baseUrl}/${project._id}/runs/${run._id}`).json(run);
+});
+
+// @desc   Run history of the project, newest first (?page=1&limit=10)
+// @route  GET /api/projects/:id/runs
+export const getProjectRuns = asyncHandler(async (req, res) => {
+  const project = await findProject(req, res);
+  let { page = 1, limit = 10 } = req.query;
+  page = Number(page);
+  limit = Number(limit);
+
+  const filter = { project: project._id };
+  const skip = (page - 1) * limit;
+  const total = await ScheduledRun.countDocuments(filter);
+  const runs = await ScheduledRun.find(filter).skip(skip).limit(limit).sort({ createdAt: -1 });
+
+  res.json({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    data: runs,
+  });
+});
+
+// @desc   Single run of the project
+// @route  GET /api/projects/:id/runs/:runId
+export const getProjectRun = asyncHandler(async (req, res) => {
+  const run = await ScheduledRun.findOne({ _id: req.params.runId, project: req.params.id });
+  if (!run) {
+    res.status(404);
+    throw new Error("Run not found");
+  }
+  res.json(run);
+});
+
+// @desc   Ask a question about the project's latest snapshots. Pass the returned
+//         conversationId with follow-up questions to keep the context.
+// @route  POST /api/projects/:id/ask
+// @body   { question, conversationId? }
+// @query  provider, model, host, temperature, contextSize (all optional)
+export const askProjectQuestion = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const project = await findProject(req, res);
+  try {
+    const result = await askProject(project._id, req.body.question, {
+      conversationId: req.body.conversationId,
+      llm: llmOptionsFrom(req.query),
+    });
+    res.json(result);
+  } catch (error) {
+    // LLMConfigError, MissingSourcesError, ConversationNotFoundError
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+});
+
+// @desc   Questions and answers of a conversation
+// @route  GET /api/projects/:id/conversations/:conversationId
+export const getProjectConversation = asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findOne({ _id: req.params.conversationId, project: req.params.id });
+  if (!conversation) {
+    res.status(404);
+    throw new Error("Conversation not found");
+  }
+  res.json(conversation);
+});
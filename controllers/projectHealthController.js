@@ -1,6 +1,12 @@
 // controllers/projectHealthController.js
 import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import mongoose from "mongoose";
 import ProjectHealth from "../models/ProjectHealth.js";
+import { buildTrendSeries, compareReports } from "../services/healthTrends.js";
+
+const TREND_FIELDS = "projectHealth score metrics.velocity metrics.completionPercentage metrics.issueStatus metrics.projectRiskFactors createdAt";
+const DEFAULT_TREND_DAYS = 30;
 
 // Create new report
 export const createReport = asyncHandler(async (req, res) => {
@@ -9,10 +15,141 @@ export const createReport = asyncHandler(async (req, res) => {
   res.status(201).json(report);
 });
 
-// Get all reports
+const MAX_PAGE_SIZE = 100;
+
+// Opaque cursor: createdAt and _id of the last report on the previous page
+const encodeCursor = (report) =>
+  Buffer.from(JSON.stringify([report.createdAt, report._id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Query parameters -> Mongo filter (query validated in routes/projectHealth.js)
+const reportFilter = ({ projectHealth, minScore, maxScore, from, to, project, q }) => {
+  const filter = {};
+  if (projectHealth) filter.projectHealth = { $in: projectHealth.toUpperCase().split(",") };
+  if (minScore !== undefined || maxScore !== undefined) {
+    filter.score = {};
+    if (minScore !== undefined) filter.score.$gte = Number(minScore);
+    if (maxScore !== undefined) filter.score.$lte = Number(maxScore);
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  if (project) filter.project = project;
+  if (q) filter.$text = { $search: q };
+  return filter;
+};
+
+// Get reports, newest first, with filters, field selection and page or cursor pagination
+// GET /api/project-health/reports?projectHealth=RED,YELLOW&minScore=&maxScore=&from=&to=&project=&q=
+//   &fields=score,metrics.velocity&limit=10&page=2 | &cursor=<nextCursor>
 export const getReports = asyncHandler(async (req, res) => {
-  const reports = await ProjectHealth.find().sort({ createdAt: -1 });
-  res.json(reports);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  let { page = 1, limit = 10, cursor, fields } = req.query;
+  page = Number(page);
+  limit = Math.min(Number(limit), MAX_PAGE_SIZE);
+
+  const filter = reportFilter(req.query);
+  const total = await ProjectHealth.countDocuments(filter);
+
+  let pageFilter = filter;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) {
+      res.status(422);
+      throw new Error("Invalid cursor");
+    }
+    pageFilter = {
+      ...filter,
+      $or: [{ createdAt: { $lt: after.createdAt } }, { createdAt: after.createdAt, _id: { $lt: after.id } }],
+    };
+  }
+
+  // createdAt is always selected, the cursor is built from it. Mongo rejects
+  // selecting both a path and one of its children, so keep only the parent.
+  const selected = fields ? [...new Set([...fields.split(","), "createdAt"])] : null;
+  const projection = selected
+    ?.filter((field) => !selected.some((other) => field.startsWith(`${other}.`)))
+    .join(" ");
+  const reports = await ProjectHealth.find(pageFilter)
+    .select(projection)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit);
+
+  res.json({
+    page: cursor ? null : page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    nextCursor: reports.length === limit ? encodeCursor(reports[reports.length - 1]) : null,
+    data: reports,
+  });
+});
+
+// Score, velocity, issue and risk series over a date range, plus the change
+// from the first to the last report in it
+// GET /api/project-health/trends?from=2025-09-01&to=2025-10-01&bucket=day|week&project=<id>
+export const getHealthTrends = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_TREND_DAYS * 24 * 60 * 60 * 1000);
+  const bucket = req.query.bucket || "day";
+
+  const filter = { createdAt: { $gte: from, $lte: to } };
+  if (req.query.project) filter.project = req.query.project;
+
+  const reports = await ProjectHealth.find(filter).select(TREND_FIELDS).sort({ createdAt: 1 }).lean();
+
+  res.json({
+    from,
+    to,
+    bucket,
+    project: req.query.project || null,
+    reports: reports.length,
+    series: buildTrendSeries(reports, bucket),
+    delta: reports.length >= 2 ? compareReports(reports[0], reports[reports.length - 1]) : null,
+  });
+});
+
+// New/resolved risks and score change between any two reports
+// GET /api/project-health/compare?base=<reportId>&target=<reportId>
+export const compareHealthReports = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const [base, target] = await Promise.all([
+    ProjectHealth.findById(req.query.base).select(TREND_FIELDS).lean(),
+    ProjectHealth.findById(req.query.target).select(TREND_FIELDS).lean(),
+  ]);
+  if (!base || !target) {
+    res.status(404);
+    throw new Error("Report not found");
+  }
+  res.json(compareReports(base, target));
 });
 
 // Get single report by ID
@@ -0,0 +1,121 @@
+// controllers/recommendationController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import Recommendation from "../models/Recommendation.js";
+
+// Fields a person may change through PUT /api/recommendations/:id
+const EDITABLE_FIELDS = ["title", "description", "status", "owner", "dueDate"];
+
+const findRecommendation = async (req, res) => {
+  const recommendation = await Recommendation.findById(req.params.id);
+  if (!recommendation) {
+    res.status(404);
+    throw new Error("Recommendation not found");
+  }
+  return recommendation;
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(422).json({ errors: errors.array() });
+  return true;
+};
+
+// Same value as stored, comparing dates by time and treating null as unset
+const unchanged = (current, value) => {
+  if (current == null || value === null) return current == value;
+  return current instanceof Date ? current.getTime() === new Date(value).getTime() : current === value;
+};
+
+// @desc   Add a recommendation by hand
+// @route  POST /api/recommendations
+// @body   { title, description?, project?, status?, owner?, dueDate? }
+export const createRecommendation = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { title, description, project, status, owner, dueDate, by } = req.body;
+  const recommendation = await Recommendation.create({
+    title,
+    description,
+    project,
+    status,
+    owner,
+    dueDate,
+    completedAt: status?.toUpperCase() === "COMPLETED" ? new Date() : undefined,
+    history: [{ event: "created", by }],
+  });
+  res.status(201).json(recommendation);
+});
+
+// @desc   Get recommendations (?project=&status=IN_PROGRESS&owner=&page=1&limit=10)
+// @route  GET /api/recommendations
+export const getRecommendations = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  let { page = 1, limit = 10 } = req.query;
+  page = Number(page);
+  limit = Number(limit);
+
+  const filter = {};
+  if (req.query.project) filter.project = req.query.project;
+  if (req.query.status) filter.status = req.query.status.toUpperCase();
+  if (req.query.owner) filter.owner = req.query.owner;
+
+  const skip = (page - 1) * limit;
+  const total = await Recommendation.countDocuments(filter);
+  const recommendations = await Recommendation.find(filter)
+    .select("-history")
+    .skip(skip)
+    .limit(limit)
+    .sort({ dueDate: 1, createdAt: -1 });
+
+  res.json({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    data: recommendations,
+  });
+});
+
+// @desc   Get single recommendation with its history
+// @route  GET /api/recommendations/:id
+export const getRecommendationById = asyncHandler(async (req, res) => {
+  res.json(await findRecommendation(req, res));
+});
+
+// @desc   Update status, owner, due date or wording, recording each change.
+//         Later analyses keep the status set here.
+// @route  PUT /api/recommendations/:id
+// @body   { status?, owner?, dueDate?, title?, description?, by? }
+export const updateRecommendation = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const recommendation = await findRecommendation(req, res);
+  for (const field of EDITABLE_FIELDS) {
+    const value = field === "status" ? req.body.status?.toUpperCase() : req.body[field];
+    if (value === undefined || unchanged(recommendation[field], value)) continue;
+    recommendation.history.push({
+      event: field === "owner" ? "assigned" : "updated",
+      field,
+      from: recommendation[field],
+      to: value,
+      by: req.body.by,
+    });
+    recommendation.set(field, value);
+  }
+  if (recommendation.isModified("status")) {
+    recommendation.completedAt = recommendation.status === "COMPLETED" ? new Date() : undefined;
+  }
+  await recommendation.save();
+  res.json(recommendation);
+});
+
+// @desc   Delete recommendation
+// @route  DELETE /api/recommendations/:id
+export const deleteRecommendation = asyncHandler(async (req, res) => {
+  const recommendation = await findRecommendation(req, res);
+  await recommendation.deleteOne();
+  res.json({ message: "Recommendation removed" });
+});
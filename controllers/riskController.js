@@ -0,0 +1,152 @@
+// controllers/riskController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import Risk from "../models/Risk.js";
+
+const findRisk = async (req, res) => {
+  const risk = await Risk.findById(req.params.id);
+  if (!risk) {
+    res.status(404);
+    throw new Error("Risk not found");
+  }
+  return risk;
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(422).json({ errors: errors.array() });
+  return true;
+};
+
+// @desc   Add a risk to the register by hand
+// @route  POST /api/risks
+// @body   { description, impact, project?, owner?, mitigationStatus? }
+export const createRisk = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { description, impact, project, owner, mitigationStatus, by } = req.body;
+  const risk = await Risk.create({
+    description,
+    impact,
+    project,
+    owner,
+    mitigationStatus,
+    history: [{ event: "created", by }],
+  });
+  res.status(201).json(risk);
+});
+
+// @desc   Get risks (?project=&state=OPEN&impact=HIGH&owner=&page=1&limit=10)
+// @route  GET /api/risks
+export const getRisks = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  let { page = 1, limit = 10 } = req.query;
+  page = Number(page);
+  limit = Number(limit);
+
+  const filter = {};
+  for (const field of ["project", "state", "impact", "mitigationStatus", "owner"]) {
+    if (req.query[field]) filter[field] = field === "project" || field === "owner" ? req.query[field] : req.query[field].toUpperCase();
+  }
+
+  const skip = (page - 1) * limit;
+  const total = await Risk.countDocuments(filter);
+  const risks = await Risk.find(filter).select("-history -notes").skip(skip).limit(limit).sort({ lastSeenAt: -1, createdAt: -1 });
+
+  res.json({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit),
+    data: risks,
+  });
+});
+
+// @desc   Get single risk with its notes and history
+// @route  GET /api/risks/:id
+export const getRiskById = asyncHandler(async (req, res) => {
+  res.json(await findRisk(req, res));
+});
+
+// @desc   Update description, impact or mitigation status, recording each change
+// @route  PUT /api/risks/:id
+// @body   { description?, impact?, mitigationStatus?, by? }
+export const updateRisk = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const risk = await findRisk(req, res);
+  for (const field of ["description", "impact", "mitigationStatus"]) {
+    const value = field === "description" ? req.body[field] : req.body[field]?.toUpperCase();
+    if (value === undefined || risk[field] === value) continue;
+    risk.history.push({ event: "updated", field, from: risk[field], to: value, by: req.body.by });
+    risk[field] = value;
+  }
+  await risk.save();
+  res.json(risk);
+});
+
+// @desc   Assign an owner
+// @route  POST /api/risks/:id/assign
+// @body   { owner, by? }
+export const assignRisk = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const risk = await findRisk(req, res);
+  risk.history.push({ event: "assigned", field: "owner", from: risk.owner, to: req.body.owner, by: req.body.by });
+  risk.owner = req.body.owner;
+  await risk.save();
+  res.json(risk);
+});
+
+// @desc   Add a note
+// @route  POST /api/risks/:id/notes
+// @body   { text, author? }
+export const annotateRisk = asyncHandler(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const risk = await findRisk(req, res);
+  risk.notes.push({ text: req.body.text, author: req.body.author });
+  risk.history.push({ event: "annotated", by: req.body.author });
+  await risk.save();
+  res.status(201).json(risk);
+});
+
+// @desc   Close a risk. It stays closed when a later analysis raises it again (see its history).
+// @route  POST /api/risks/:id/close
+// @body   { reason?, by? }
+export const closeRisk = asyncHandler(async (req, res) => {
+  const risk = await findRisk(req, res);
+  if (risk.state === "CLOSED") {
+    res.status(409);
+    throw new Error("Risk is already closed");
+  }
+  risk.history.push({ event: "closed", from: "OPEN", to: "CLOSED", by: req.body?.by });
+  risk.set({ state: "CLOSED", closedAt: new Date(), closeReason: req.body?.reason });
+  await risk.save();
+  res.json(risk);
+});
+
+// @desc   Reopen a closed risk
+// @route  POST /api/risks/:id/reopen
+// @body   { by? }
+export const reopenRisk = asyncHandler(async (req, res) => {
+  const risk = await findRisk(req, res);
+  if (risk.state === "OPEN") {
+    res.status(409);
+    throw new Error("Risk is already open");
+  }
+  risk.history.push({ event: "reopened", from: "CLOSED", to: "OPEN", by: req.body?.by });
+  risk.set({ state: "OPEN", closedAt: undefined, closeReason: undefined });
+  await risk.save();
+  res.json(risk);
+});
+
+// @desc   Delete risk
+// @route  DELETE /api/risks/:id
+export const deleteRisk = asyncHandler(async (req, res) => {
+  const risk = await findRisk(req, res);
+  await risk.deleteOne();
+  res.json({ message: "Risk removed" });
+});
@@ -0,0 +1,45 @@
+// controllers/searchController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import Project from "../models/Project.js";
+import { buildBlocks } from "../services/retrieval.js";
+import { indexBlocks, searchIndex } from "../services/embeddingIndex.js";
+import { loadProjectSources } from "../services/projectSources.js";
+import { readSharedExports } from "../services/projectHealthAnalysis.js";
+import { createLLMProvider, llmOptionsFrom } from "../services/llm/index.js";
+
+// @desc   Semantic search over the issues and document sections of a project's
+//         latest snapshots (or the shared exports without ?project). Items
+//         changed since the last search are embedded first.
+// @route  GET /api/search?q=&project=&type=jira|confluence&limit=10
+// @query  provider, host, embedModel (all optional)
+export const search = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+
+  const { q, project, type } = req.query;
+  const limit = Number(req.query.limit) || 10;
+  try {
+    if (project && !(await Project.exists({ _id: project }))) {
+      res.status(404);
+      throw new Error("Project not found");
+    }
+    const llm = createLLMProvider(llmOptionsFrom(req.query));
+    const data = project ? (await loadProjectSources(project)).data : readSharedExports();
+
+    const index = await indexBlocks(project, buildBlocks(data), llm);
+    const results = await searchIndex(project, q, llm, { limit, type });
+    res.json({
+      query: q,
+      model: llm.embedModel,
+      index,
+      results: results.map(({ block, score }) => ({ ...block, score: Math.round(score * 1000) / 1000 })),
+    });
+  } catch (error) {
+    // LLMConfigError, MissingSourcesError, EmbeddingError
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+});
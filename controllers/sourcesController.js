@@ -0,0 +1,47 @@
+// controllers/sourcesController.js
+import asyncHandler from "express-async-handler";
+import { validationResult } from "express-validator";
+import { executeJiraScript } from "../fetches/jira.js";
+import { executeConfluenceScript } from "../fetches/confluence.js";
+
+// Count failureReasons per category so callers don't have to walk the list
+const summarizeCategories = (failureReasons = []) =>
+  failureReasons.reduce((acc, { category }) => {
+    acc[category] = (acc[category] || 0) + 1;
+    return acc;
+  }, {});
+
+const runFetch = async (res, fetcher, input) => {
+  try {
+    const result = await fetcher(input);
+    res.json({ ...result, errorCategories: summarizeCategories(result.failureReasons) });
+  } catch (failure) {
+    if (failure instanceof Error) throw failure;
+    // The fetchers reject with plain result objects for bad input; per-item
+    // Atlassian failures come back in failureReasons on a successful result
+    res.status(422).json(failure);
+  }
+};
+
+// @desc   Fetch Jira epics/issues into jira_epic_data.txt
+// @route  POST /api/sources/jira
+// @body   { links: "A11Y-676" | ["https://company.atlassian.net/browse/A11Y-676", ...] }
+export const fetchJiraSource = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+  await runFetch(res, executeJiraScript, req.body.links);
+});
+
+// @desc   Fetch Confluence pages, page trees or spaces into confluence_documents_data.txt
+// @route  POST /api/sources/confluence
+// @body   { ids?: ["4010409990" | page URL | space URL, ...], spaces?: ["PROD"], ancestors?: ["4010400001"] }
+export const fetchConfluenceSource = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ errors: errors.array() });
+  }
+  const { ids, spaces, ancestors } = req.body;
+  await runFetch(res, executeConfluenceScript, { pages: ids, spaces, ancestors });
+});
@@ -1,249 +1,219 @@
-import { spawn } from 'child_process';
+import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createConfluenceClient, normalizePage, parseConfluenceReference } from './confluenceClient.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/**
- * Parse failure reasons from Ruby script output
- * @param {string} output - Ruby script stdout
- * @returns {Array<Object>} - Array of failure reasons with document IDs
- */
-function parseFailureReasons(output) {
-  const failures = [];
-  const lines = output.split('\n');
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Look for failure patterns
-    if (line.includes('❌ Failed to fetch document ID:')) {
-      const docIdMatch = line.match(/document ID: (\d+)/);
-      if (docIdMatch) {
-        const docId = docIdMatch[1];
-        let reason = 'Unknown error';
-        
-        // Look for the reason in previous lines
-        for (let j = Math.max(0, i - 5); j < i; j++) {
-          const prevLine = lines[j].trim();
-          if (prevLine.includes('Access denied (403)')) {
-            reason = 'Access denied (403) - Invalid credentials or insufficient permissions';
-            break;
-          } else if (prevLine.includes('Document not found (404)')) {
-            reason = 'Document not found (404) - Document does not exist or has been deleted';
-            break;
-          } else if (prevLine.includes('Error: HTTP')) {
-            const httpMatch = prevLine.match(/Error: HTTP (\d+) - (.+)/);
-            if (httpMatch) {
-              reason = `HTTP ${httpMatch[1]} - ${httpMatch[2]}`;
-            }
-            break;
-          } else if (prevLine.includes('Request failed')) {
-            reason = 'Network error - Request failed to complete';
-            break;
-          }
-        }
-        
-        failures.push({
-          documentId: docId,
-          reason: reason,
-          category: categorizeError(reason)
-        });
-      }
-    }
-  }
-  
-  return failures;
-}
+const OUTPUT_FILE = 'confluence_documents_data.txt';
+const SEPARATOR = '='.repeat(80);
+
+const orNA = (value) => (value === null || value === undefined || value === '' ? 'N/A' : value);
 
 /**
- * Parse success count from Ruby script output
- * @param {string} output - Ruby script stdout
- * @returns {number} - Number of successful fetches
+ * Format one structured document as an export record (same layout confluence.rb wrote)
+ * @param {Object} document - Structured document from normalizePage
+ * @returns {string} - Formatted record
  */
-function parseSuccessCount(output) {
-  const successMatch = output.match(/✅ Successful: (\d+)/);
-  return successMatch ? parseInt(successMatch[1], 10) : 0;
+function formatDocument(document) {
+  return [
+    '',
+    SEPARATOR,
+    `Document ID: ${document.id}`,
+    `Title: ${orNA(document.title)}`,
+    `Type: ${orNA(document.type)}`,
+    `Status: ${orNA(document.status)}`,
+    `Space: ${document.space ? `${document.space.name} (${document.space.key})` : 'N/A (N/A)'}`,
+    `Parent Path: ${document.parentPath}`,
+    `Child Pages: ${document.childPages.length > 0 ? document.childPages.join(', ') : 'None'}`,
+    `Version: ${orNA(document.version)}`,
+    `Created/Modified: ${document.lastModified ? document.lastModified.toISOString() : 'N/A'}`,
+    `Last Modified By: ${orNA(document.lastModifiedBy)}`,
+    `URL: ${document.url}`,
+    '',
+    'CONTENT:',
+    document.content || 'Content not available',
+    SEPARATOR
+  ].join('\n');
 }
 
 /**
- * Categorize error types for better understanding
- * @param {string} reason - Error reason
- * @returns {string} - Error category
+ * Build the confluence_documents_data.txt export the analysis pipeline reads
+ * @param {Array<Object>} documents - Structured documents
+ * @param {Object} request - { references, failures }
+ * @returns {string} - Export text
  */
-function categorizeError(reason) {
-  if (reason.includes('403') || reason.includes('Access denied')) {
-    return 'AUTHENTICATION_ERROR';
-  } else if (reason.includes('404') || reason.includes('not found')) {
-    return 'DOCUMENT_NOT_FOUND';
-  } else if (reason.includes('Network error') || reason.includes('Request failed')) {
-    return 'NETWORK_ERROR';
-  } else if (reason.includes('HTTP 500')) {
-    return 'SERVER_ERROR';
-  } else if (reason.includes('HTTP 429')) {
-    return 'RATE_LIMIT_ERROR';
+export function formatConfluenceExport(documents, { references, failures = [] }) {
+  const requested = documents.length + failures.length;
+  const lines = [
+    'CONFLUENCE DOCUMENTS DATA EXPORT',
+    `Generated on: ${new Date().toISOString().replace('T', ' ').slice(0, 19)}`,
+    `Requested Document IDs: ${references.join(', ')}`,
+    SEPARATOR,
+    '',
+    'DOCUMENTS SUMMARY',
+    `Total Documents Requested: ${requested}`,
+    `Total Documents Retrieved: ${documents.length}`,
+    `Success Rate: ${documents.length}/${requested} (${((documents.length / requested) * 100).toFixed(1)}%)`,
+    SEPARATOR,
+    ''
+  ];
+
+  if (documents.length === 0) {
+    lines.push('No documents were successfully retrieved.');
   } else {
-    return 'UNKNOWN_ERROR';
+    lines.push('DETAILED DOCUMENTS');
+    documents.forEach((document, index) => {
+      lines.push(`\n[Document ${index + 1}/${documents.length}]`, formatDocument(document), '');
+    });
+  }
+
+  if (failures.length > 0) {
+    lines.push(
+      '\n' + SEPARATOR,
+      'FAILED DOCUMENT IDS',
+      'The following document IDs could not be retrieved:',
+      ...failures.map(failure => `- ${failure.documentId || `space:${failure.spaceKey}`}`),
+      SEPARATOR
+    );
   }
+
+  return lines.join('\n') + '\n';
 }
 
+// Accept a list of references or { pages, spaces, ancestors }
+const asList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
 /**
- * Executes the confluence.rb script with an array of confluence document IDs
- * @param {Array<string|number>} confluenceIds - Array of confluence document IDs
- * @returns {Promise<Object>} - Promise that resolves with success/error response
+ * Fetches Confluence pages through the Confluence REST API, converting their
+ * storage format to markdown, and builds the export text without writing it
+ * anywhere, so callers can keep one export per project
+ * @param {Array<string|number>|Object} confluenceRefs - Page IDs, page URLs, space URLs and space:KEY
+ *   references, or { pages, spaces, ancestors } where ancestors are fetched with all descendants
+ * @param {Object} [options] - createConfluenceClient options (baseUrl, credentials, timeout)
+ * @returns {Promise<Object>} - { response, exportText } where exportText is null if nothing was fetched
  */
-export async function executeConfluenceScript(confluenceIds) {
-  return new Promise((resolve, reject) => {
-    // Validate input
-    if (!Array.isArray(confluenceIds)) {
-      return reject({
-        success: false,
-        error: 'Invalid input: confluenceIds must be an array',
-        details: 'Expected an array of confluence document IDs'
-      });
-    }
-
-    if (confluenceIds.length === 0) {
-      return reject({
-        success: false,
-        error: 'Empty array provided',
-        details: 'At least one confluence document ID is required'
-      });
-    }
-
-    // Validate and clean IDs
-    const validIds = confluenceIds
-      .map(id => String(id).trim())
-      .filter(id => id && /^\d+$/.test(id));
+export async function fetchConfluenceExport(confluenceRefs, options = {}) {
+  const isRequestObject = confluenceRefs && typeof confluenceRefs === 'object' && !Array.isArray(confluenceRefs);
+
+  // Validate input
+  if (!Array.isArray(confluenceRefs) && !isRequestObject) {
+    throw {
+      success: false,
+      error: 'Invalid input: confluenceIds must be an array',
+      details: 'Expected an array of Confluence page IDs or URLs, or { pages, spaces, ancestors }'
+    };
+  }
 
-    if (validIds.length === 0) {
-      return reject({
-        success: false,
-        error: 'No valid confluence IDs found',
-        details: 'Confluence IDs must be numeric strings or numbers'
-      });
+  const request = isRequestObject
+    ? {
+      pages: asList(confluenceRefs.pages),
+      spaces: asList(confluenceRefs.spaces).map(space => (String(space).includes('/') ? space : `space:${space}`)),
+      ancestors: asList(confluenceRefs.ancestors)
     }
+    : { pages: confluenceRefs, spaces: [], ancestors: [] };
+  const allRefs = [...request.pages, ...request.spaces, ...request.ancestors];
+
+  if (allRefs.length === 0) {
+    throw {
+      success: false,
+      error: 'Empty array provided',
+      details: 'At least one Confluence page ID, page URL or space is required'
+    };
+  }
 
-    if (validIds.length !== confluenceIds.length) {
-      const invalidIds = confluenceIds.filter(id => !validIds.includes(String(id).trim()));
-      console.warn(`Warning: Skipped invalid confluence IDs: ${invalidIds.join(', ')}`);
+  // Sort references into pages, spaces and ancestor trees
+  const pageIds = [];
+  const spaceKeys = [];
+  const ancestorIds = [];
+  const invalidRefs = [];
+  const validRefs = [];
+  for (const [group, refs] of Object.entries(request)) {
+    for (const ref of refs) {
+      const parsed = parseConfluenceReference(ref);
+      if (!parsed || (group === 'ancestors' && parsed.type !== 'page')) {
+        invalidRefs.push(ref);
+        continue;
+      }
+      validRefs.push(String(ref).trim());
+      if (parsed.type === 'space') spaceKeys.push(parsed.key);
+      else if (group === 'ancestors') ancestorIds.push(parsed.id);
+      else pageIds.push(parsed.id);
     }
+  }
 
-    // Path to the Ruby script
-    const scriptPath = path.join(__dirname, 'scripts', 'confluence.rb');
-    
-    // Prepare command arguments
-    const args = validIds;
-    
-    console.log(`Executing confluence script with IDs: ${validIds.join(', ')}`);
-    
-    // Spawn the Ruby process
-    const rubyProcess = spawn('ruby', [scriptPath, ...args], {
-      cwd: path.join(__dirname, 'scripts'),
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    // Collect stdout data
-    rubyProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      console.log(`Ruby script output: ${output.trim()}`);
-    });
-
-    // Collect stderr data
-    rubyProcess.stderr.on('data', (data) => {
-      const error = data.toString();
-      stderr += error;
-      console.error(`Ruby script error: ${error.trim()}`);
-    });
-
-    // Handle process completion
-    rubyProcess.on('close', (code) => {
-      if (code === 0) {
-        // Parse output to check for failures and extract reasons
-        const failureReasons = parseFailureReasons(stdout);
-        const successCount = parseSuccessCount(stdout);
-        const totalProcessed = validIds.length;
-        
-        // Success (script ran successfully, but may have document fetch failures)
-        const response = {
-          success: true,
-          message: 'Confluence script executed successfully',
-          processedIds: validIds,
-          totalProcessed: totalProcessed,
-          successfulFetches: successCount,
-          failedFetches: totalProcessed - successCount,
-          output: stdout.trim(),
-          outputFile: 'confluence_documents_data.txt'
-        };
+  if (validRefs.length === 0) {
+    throw {
+      success: false,
+      error: 'No valid confluence IDs found',
+      details: 'Confluence references must be numeric page IDs, page URLs or space URLs/keys'
+    };
+  }
 
-        // Add failure reasons if any documents failed to fetch
-        if (failureReasons.length > 0) {
-          response.failureReasons = failureReasons;
-          response.warning = 'Some documents could not be retrieved. Check failureReasons for details.';
-        }
+  if (invalidRefs.length > 0) {
+    console.warn(`Warning: Skipped invalid Confluence references: ${invalidRefs.join(', ')}`);
+  }
 
-        resolve(response);
-      } else {
-        // Error
-        reject({
-          success: false,
-          error: `Ruby script exited with code ${code}`,
-          details: stderr.trim() || stdout.trim() || 'Unknown error occurred',
-          processedIds: validIds,
-          exitCode: code
-        });
-      }
-    });
+  const client = createConfluenceClient(options);
+  console.log(`Fetching Confluence documents from ${client.baseUrl}: ${validRefs.join(', ')}`);
 
-    // Handle process errors (e.g., Ruby not found)
-    rubyProcess.on('error', (error) => {
-      reject({
-        success: false,
-        error: 'Failed to execute Ruby script',
-        details: error.message,
-        possibleCauses: [
-          'Ruby is not installed on the system',
-          'Ruby is not in the system PATH',
-          'Script file permissions issue',
-          'Script file not found'
-        ]
-      });
-    });
+  const { pages, failures } = await client.fetchDocuments({
+    pageIds: [...new Set(pageIds)],
+    spaceKeys: [...new Set(spaceKeys)],
+    ancestorIds: [...new Set(ancestorIds)]
+  });
+  const documents = pages.map(page => normalizePage(page, client.baseUrl));
+
+  const exportText = documents.length > 0 ? formatConfluenceExport(documents, { references: validRefs, failures }) : null;
+
+  const response = {
+    success: true,
+    message: 'Confluence documents fetched successfully',
+    processedIds: validRefs,
+    totalProcessed: documents.length + failures.length,
+    successfulFetches: documents.length,
+    failedFetches: failures.length,
+    documents,
+    outputFile: null
+  };
+
+  // Add failure reasons if any documents failed to fetch
+  if (failures.length > 0) {
+    response.failureReasons = failures;
+    response.warning = 'Some documents could not be retrieved. Check failureReasons for details.';
+  }
 
-    // Set a timeout to prevent hanging (optional, 5 minutes)
-    const timeout = setTimeout(() => {
-      rubyProcess.kill('SIGTERM');
-      reject({
-        success: false,
-        error: 'Script execution timeout',
-        details: 'Ruby script took longer than 5 minutes to complete',
-        processedIds: validIds
-      });
-    }, 5 * 60 * 1000); // 5 minutes
+  return { response, exportText };
+}
 
-    // Clear timeout when process completes
-    rubyProcess.on('close', () => {
-      clearTimeout(timeout);
-    });
-  });
+/**
+ * Fetches Confluence pages and writes confluence_documents_data.txt for the
+ * analysis pipeline
+ * @param {Array<string|number>|Object} confluenceRefs - Page IDs/URLs or { pages, spaces, ancestors }
+ * @param {Object} [options] - createConfluenceClient options (baseUrl, credentials, timeout)
+ * @returns {Promise<Object>} - Promise that resolves with success/error response
+ */
+export async function executeConfluenceScript(confluenceRefs, options = {}) {
+  const { response, exportText } = await fetchConfluenceExport(confluenceRefs, options);
+  if (exportText) {
+    await fs.writeFile(path.join(__dirname, 'scripts', OUTPUT_FILE), exportText, 'utf-8');
+    response.outputFile = OUTPUT_FILE;
+  }
+  return response;
 }
 
 /**
  * Wrapper function for easier usage with error handling
- * @param {Array<string|number>} confluenceIds - Array of confluence document IDs
+ * @param {Array<string|number>|Object} confluenceRefs - Page IDs/URLs or { pages, spaces, ancestors }
  * @returns {Promise<Object>} - Promise that always resolves with success/error status
  */
-export async function fetchConfluenceDocuments(confluenceIds) {
+export async function fetchConfluenceDocuments(confluenceRefs) {
   try {
-    const result = await executeConfluenceScript(confluenceIds);
+    const result = await executeConfluenceScript(confluenceRefs);
     return result;
   } catch (error) {
-    console.error('Confluence script execution failed:', error);
+    console.error('Confluence fetch failed:', error);
     return error;
   }
 }
@@ -256,15 +226,29 @@ export async function fetchConfluenceDocuments(confluenceIds) {
 const result = await fetchConfluenceDocuments(['123456789', '987654321']);
 console.log(result);
 
+// Page URLs and whole spaces
+const result2 = await fetchConfluenceDocuments([
+  'https://company.atlassian.net/wiki/spaces/PROD/pages/4010409990/Task+Brief',
+  'https://company.atlassian.net/wiki/spaces/PROD'
+]);
+
+// A page together with every page below it
+const result3 = await executeConfluenceScript({ ancestors: ['4010400001'] });
+
+// Against the local mock server (node fetches/mockConfluenceServer.js)
+const result4 = await executeConfluenceScript({ spaces: ['PROD'] }, { baseUrl: 'http://localhost:4011' });
+
 // With error handling
 try {
   const result = await executeConfluenceScript(['123456789', '987654321']);
   console.log('Success:', result);
+
+  if (result.failureReasons) {
+    result.failureReasons.forEach(failure => {
+      console.log(`Document ${failure.documentId || failure.spaceKey}: ${failure.reason} (${failure.category})`);
+    });
+  }
 } catch (error) {
   console.error('Error:', error);
 }
-
-// Mixed valid/invalid IDs
-const result2 = await fetchConfluenceDocuments(['123456789', 'invalid', '987654321', '']);
-console.log(result2); // Will process only valid IDs and warn about invalid ones
 */
@@ -0,0 +1,195 @@
+import axios from 'axios';
+import { storageToMarkdown } from './storageFormat.js';
+
+const DEFAULT_BASE_URL = 'https://browserstack.atlassian.net';
+const PAGE_EXPAND = 'body.storage,version,space,ancestors,children.page';
+const PAGE_SIZE = 50;
+
+/**
+ * Categorize Confluence error types for better understanding
+ * @param {string} reason - Error reason
+ * @returns {string} - Error category
+ */
+export function categorizeConfluenceError(reason) {
+  if (reason.includes('403') || reason.includes('401') || reason.includes('Access denied')) {
+    return 'AUTHENTICATION_ERROR';
+  } else if (reason.includes('Space not found')) {
+    return 'SPACE_NOT_FOUND';
+  } else if (reason.includes('404') || reason.includes('not found')) {
+    return 'DOCUMENT_NOT_FOUND';
+  } else if (reason.includes('Network error') || reason.includes('Request failed')) {
+    return 'NETWORK_ERROR';
+  } else if (reason.includes('HTTP 500')) {
+    return 'SERVER_ERROR';
+  } else if (reason.includes('HTTP 429')) {
+    return 'RATE_LIMIT_ERROR';
+  } else {
+    return 'UNKNOWN_ERROR';
+  }
+}
+
+/**
+ * Describe an axios error in the same wording as the Jira client
+ * @param {Error} error - axios error
+ * @param {string} what - 'Document' or 'Space'
+ * @returns {string} - Failure reason
+ */
+function describeRequestError(error, what = 'Document') {
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return `Access denied (${status}) - Invalid credentials or insufficient permissions`;
+  } else if (status === 404) {
+    return `${what} not found (404) - ${what} does not exist or has been deleted`;
+  } else if (status) {
+    return `HTTP ${status} - ${error.response.statusText || 'Request error'}`;
+  }
+  return `Network error - Request failed to complete (${error.code || error.message})`;
+}
+
+/**
+ * Work out what a Confluence reference points at
+ * @param {string|number} reference - Page ID, page URL, space URL or space:KEY
+ * @returns {Object|null} - { type: 'page', id } | { type: 'space', key } | null
+ */
+export function parseConfluenceReference(reference) {
+  const entry = String(reference).trim();
+  const page = entry.match(/^(\d+)$/) || entry.match(/\/pages\/(\d+)/) || entry.match(/[?&]pageId=(\d+)/);
+  if (page) return { type: 'page', id: page[1] };
+  const space = entry.match(/^space:([A-Za-z0-9~_-]+)$/i) || entry.match(/\/spaces\/([A-Za-z0-9~_-]+)\/?(?:overview\/?)?(?:[?#]|$)/);
+  if (space) return { type: 'space', key: space[1] };
+  return null;
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Convert a Confluence REST page into the structured document used across the
+ * app, with the storage body rendered as markdown
+ * @param {Object} page - Confluence REST content
+ * @param {string} baseUrl - Confluence base URL for the page link
+ * @returns {Object} - Structured document
+ */
+export function normalizePage(page, baseUrl = DEFAULT_BASE_URL) {
+  const ancestors = (page.ancestors || []).map(ancestor => ({ id: String(ancestor.id), title: ancestor.title }));
+  const spaceKey = page.space?.key || null;
+  return {
+    id: String(page.id),
+    title: page.title || null,
+    type: page.type || null,
+    status: page.status || null,
+    space: page.space ? { name: page.space.name, key: spaceKey } : null,
+    ancestors,
+    parentPath: ancestors.length > 0 ? ancestors.map(ancestor => ancestor.title).join(' > ') : 'Root Level',
+    childPages: (page.children?.page?.results || []).map(child => child.title),
+    version: page.version?.number ?? null,
+    lastModified: toDate(page.version?.when),
+    lastModifiedBy: page.version?.by?.displayName || null,
+    url: page._links?.webui ? `${baseUrl}/wiki${page._links.webui}` : `${baseUrl}/wiki/spaces/${spaceKey}/pages/${page.id}`,
+    content: storageToMarkdown(page.body?.storage?.value)
+  };
+}
+
+/**
+ * Create a Confluence REST client. Credentials default to the CONFLUENCE_*
+ * variables, falling back to the JIRA_* ones since both live on the same
+ * Atlassian site; baseUrl can point at a local mock server.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Site base URL (CONFLUENCE_BASE_URL)
+ * @param {string} [options.email] - Account email (CONFLUENCE_EMAIL)
+ * @param {string} [options.apiToken] - API token (CONFLUENCE_API_TOKEN)
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @returns {Object} - Client with fetchPage, fetchSpacePages, fetchDescendants, fetchDocuments
+ */
+export function createConfluenceClient({
+  baseUrl = process.env.CONFLUENCE_BASE_URL || process.env.JIRA_BASE_URL || DEFAULT_BASE_URL,
+  email = process.env.CONFLUENCE_EMAIL || process.env.JIRA_EMAIL,
+  apiToken = process.env.CONFLUENCE_API_TOKEN || process.env.JIRA_API_TOKEN,
+  timeout = 30 * 1000
+} = {}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout,
+    auth: email && apiToken ? { username: email, password: apiToken } : undefined,
+    headers: { Accept: 'application/json' }
+  });
+
+  // Page through a content list endpoint until it stops returning results
+  async function fetchAll(url, params = {}) {
+    const pages = [];
+    let start = 0;
+    for (;;) {
+      const { data } = await http.get(url, { params: { ...params, start, limit: PAGE_SIZE, expand: PAGE_EXPAND } });
+      const results = data.results || [];
+      pages.push(...results);
+      start += results.length;
+      if (results.length === 0 || !data._links?.next) break;
+    }
+    return pages;
+  }
+
+  /**
+   * Fetch a single page with its storage body
+   * @param {string} pageId - Content ID
+   * @returns {Promise<Object>} - Raw Confluence content
+   */
+  async function fetchPage(pageId) {
+    const { data } = await http.get(`/wiki/rest/api/content/${pageId}`, { params: { expand: PAGE_EXPAND } });
+    return data;
+  }
+
+  /**
+   * Fetch every current page in a space
+   * @param {string} spaceKey - e.g. PROD
+   * @returns {Promise<Array<Object>>} - Raw Confluence content
+   */
+  async function fetchSpacePages(spaceKey) {
+    return fetchAll('/wiki/rest/api/content', { spaceKey, type: 'page', status: 'current' });
+  }
+
+  /**
+   * Fetch every page below an ancestor, at any depth
+   * @param {string} pageId - Ancestor content ID
+   * @returns {Promise<Array<Object>>} - Raw Confluence content
+   */
+  async function fetchDescendants(pageId) {
+    return fetchAll(`/wiki/rest/api/content/${pageId}/descendant/page`);
+  }
+
+  /**
+   * Fetch pages, whole spaces and ancestor trees, de-duplicated by ID and
+   * collecting per-reference failures instead of giving up on the first one
+   * @param {Object} request
+   * @param {Array<string>} [request.pageIds] - Single pages
+   * @param {Array<string>} [request.spaceKeys] - Whole spaces
+   * @param {Array<string>} [request.ancestorIds] - Pages fetched with all their descendants
+   * @returns {Promise<Object>} - { pages, failures: [{ documentId | spaceKey, reason, category }] }
+   */
+  async function fetchDocuments({ pageIds = [], spaceKeys = [], ancestorIds = [] }) {
+    const byId = new Map();
+    const failures = [];
+
+    const attempt = async (target, what, request) => {
+      try {
+        for (const page of await request()) byId.set(String(page.id), page);
+      } catch (error) {
+        const reason = describeRequestError(error, what);
+        console.error(`Failed to fetch ${what.toLowerCase()} ${Object.values(target)[0]}: ${reason}`);
+        failures.push({ ...target, reason, category: categorizeConfluenceError(reason) });
+      }
+    };
+
+    for (const pageId of pageIds) {
+      await attempt({ documentId: pageId }, 'Document', async () => [await fetchPage(pageId)]);
+    }
+    for (const pageId of ancestorIds) {
+      await attempt({ documentId: pageId }, 'Document', async () => [await fetchPage(pageId), ...(await fetchDescendants(pageId))]);
+    }
+    for (const spaceKey of spaceKeys) {
+      await attempt({ spaceKey }, 'Space', () => fetchSpacePages(spaceKey));
+    }
+
+    return { pages: [...byId.values()], failures };
+  }
+
+  return { baseUrl, fetchPage, fetchSpacePages, fetchDescendants, fetchDocuments };
+}
@@ -0,0 +1,250 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://browserstack.atlassian.net';
+const ISSUE_FIELDS = [
+  'summary', 'issuetype', 'status', 'priority', 'assignee', 'reporter', 'creator',
+  'created', 'updated', 'resolutiondate', 'duedate', 'project', 'parent', 'subtasks',
+  'description', 'comment', 'attachment', 'customfield_10014', 'customfield_10016', 'customfield_10020'
+].join(',');
+const PAGE_SIZE = 100;
+
+/**
+ * Categorize Jira error types for better understanding
+ * @param {string} reason - Error reason
+ * @returns {string} - Error category
+ */
+export function categorizeJiraError(reason) {
+  if (reason.includes('403') || reason.includes('401') || reason.includes('Access denied')) {
+    return 'AUTHENTICATION_ERROR';
+  } else if (reason.includes('404') || reason.includes('not found')) {
+    return 'ISSUE_NOT_FOUND';
+  } else if (reason.includes('Network error') || reason.includes('Request failed')) {
+    return 'NETWORK_ERROR';
+  } else if (reason.includes('HTTP 500')) {
+    return 'SERVER_ERROR';
+  } else if (reason.includes('HTTP 429')) {
+    return 'RATE_LIMIT_ERROR';
+  } else {
+    return 'UNKNOWN_ERROR';
+  }
+}
+
+/**
+ * Describe an axios error the way the Ruby fetcher used to log it
+ * @param {Error} error - axios error
+ * @returns {string} - Failure reason
+ */
+export function describeRequestError(error) {
+  const status = error.response?.status;
+  if (status === 401 || status === 403) {
+    return `Access denied (${status}) - Invalid credentials or insufficient permissions`;
+  } else if (status === 404) {
+    return 'Issue not found (404) - Issue does not exist or has been deleted';
+  } else if (status) {
+    return `HTTP ${status} - ${error.response.statusText || 'Request error'}`;
+  }
+  return `Network error - Request failed to complete (${error.code || error.message})`;
+}
+
+/**
+ * Extract issue keys from Jira URLs or plain keys
+ * @param {Array<string>} links - Jira links/keys
+ * @returns {Array<string>} - Unique issue keys in input order
+ */
+export function extractIssueKeys(links) {
+  const keys = [];
+  for (const entry of links.flatMap(link => String(link).split(',')).map(link => link.trim())) {
+    const match = entry.match(/\/browse\/([A-Z0-9]+-\d+)/) ||
+      entry.match(/selectedIssue=([A-Z0-9]+-\d+)/) ||
+      entry.match(/\/([A-Z0-9]+-\d+)(?:[/?#]|$)/) ||
+      entry.match(/^([A-Z0-9]+-\d+)$/);
+    if (match) keys.push(match[1]);
+  }
+  return [...new Set(keys)];
+}
+
+/**
+ * Flatten Atlassian Document Format into plain text
+ * @param {Object|string} node - ADF node or legacy string description
+ * @returns {string} - Text content
+ */
+export function adfToText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  const parts = [];
+  const walk = (current) => {
+    if (!current || typeof current !== 'object') return;
+    if (current.text) parts.push(current.text);
+    if (Array.isArray(current.content)) current.content.forEach(walk);
+  };
+  walk(node);
+  return parts.join(' ').trim();
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Sprint field entries are objects on Jira Cloud and "...name=Sprint 4,..." strings on older servers
+function sprintName(sprints) {
+  if (!Array.isArray(sprints) || sprints.length === 0) return null;
+  const last = sprints[sprints.length - 1];
+  if (typeof last === 'object') return last.name || null;
+  return String(last).match(/name=([^,\]]+)/)?.[1] || null;
+}
+
+/**
+ * Convert a Jira REST issue into the structured issue used across the app.
+ * Same shape as parseJiraIssues in services/exportParsers.js, plus dueDate,
+ * parent and subtask keys.
+ * @param {Object} issue - Jira REST API issue
+ * @param {string} baseUrl - Jira base URL for the browse link
+ * @returns {Object} - Structured issue
+ */
+export function normalizeIssue(issue, baseUrl = DEFAULT_BASE_URL) {
+  const fields = issue.fields || {};
+  const epicLink = fields.customfield_10014 || fields.parent;
+  return {
+    key: issue.key,
+    summary: fields.summary || null,
+    type: fields.issuetype?.name || null,
+    status: fields.status?.name || null,
+    priority: fields.priority?.name || null,
+    project: fields.project ? { name: fields.project.name, key: fields.project.key } : null,
+    epic: (typeof epicLink === 'string' ? epicLink : epicLink?.key) || null,
+    parent: fields.parent?.key || null,
+    storyPoints: typeof fields.customfield_10016 === 'number' ? fields.customfield_10016 : null,
+    sprint: sprintName(fields.customfield_10020),
+    assignee: fields.assignee?.displayName || null,
+    reporter: fields.reporter?.displayName || null,
+    creator: fields.creator?.displayName || null,
+    created: toDate(fields.created),
+    updated: toDate(fields.updated),
+    resolved: toDate(fields.resolutiondate),
+    dueDate: toDate(fields.duedate),
+    comments: fields.comment?.total || 0,
+    attachments: fields.attachment?.length || 0,
+    url: `${baseUrl}/browse/${issue.key}`,
+    description: adfToText(fields.description) || null,
+    subtasks: (fields.subtasks || []).map(subtask => subtask.key)
+  };
+}
+
+/**
+ * Create a Jira REST client. Credentials default to the same environment
+ * variables the Ruby fetcher used; baseUrl can point at a local mock server.
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Jira base URL (JIRA_BASE_URL)
+ * @param {string} [options.email] - Account email (JIRA_EMAIL)
+ * @param {string} [options.apiToken] - API token (JIRA_API_TOKEN)
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @returns {Object} - Client with fetchIssue, fetchEpicChildren, fetchIssueTree, searchIssues
+ */
+export function createJiraClient({
+  baseUrl = process.env.JIRA_BASE_URL || DEFAULT_BASE_URL,
+  email = process.env.JIRA_EMAIL,
+  apiToken = process.env.JIRA_API_TOKEN,
+  timeout = 30 * 1000
+} = {}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout,
+    auth: email && apiToken ? { username: email, password: apiToken } : undefined,
+    headers: { Accept: 'application/json' }
+  });
+
+  /**
+   * Fetch a single issue
+   * @param {string} issueKey - e.g. A11Y-676
+   * @returns {Promise<Object>} - Raw Jira issue
+   */
+  async function fetchIssue(issueKey) {
+    const { data } = await http.get(`/rest/api/3/issue/${issueKey}`, { params: { fields: ISSUE_FIELDS } });
+    return data;
+  }
+
+  /**
+   * Page through every issue of an epic via the Agile API
+   * @param {string} epicKey - Epic issue key
+   * @returns {Promise<Array<Object>>} - Raw Jira issues
+   */
+  async function fetchEpicChildren(epicKey) {
+    const issues = [];
+    let startAt = 0;
+    for (;;) {
+      const { data } = await http.get(`/rest/agile/1.0/epic/${epicKey}/issue`, {
+        params: { startAt, maxResults: PAGE_SIZE, fields: ISSUE_FIELDS }
+      });
+      const page = data.issues || [];
+      issues.push(...page);
+      startAt += page.length;
+      if (page.length === 0 || startAt >= (data.total ?? startAt)) break;
+    }
+    return issues;
+  }
+
+  /**
+   * Run a JQL search, following nextPageToken until the last page
+   * @param {string} jql - JQL query
+   * @param {Object} [options]
+   * @param {string} [options.fields] - Comma separated fields, all issue fields by default
+   * @returns {Promise<Array<Object>>} - Raw Jira issues
+   */
+  async function searchIssues(jql, { fields = ISSUE_FIELDS } = {}) {
+    const issues = [];
+    let nextPageToken;
+    do {
+      const { data } = await http.get('/rest/api/3/search/jql', {
+        params: { jql, fields, maxResults: PAGE_SIZE, nextPageToken }
+      });
+      issues.push(...(data.issues || []));
+      nextPageToken = data.isLast ? undefined : data.nextPageToken;
+    } while (nextPageToken);
+    return issues;
+  }
+
+  /**
+   * Fetch issues with their epic children and subtasks, collecting per-issue
+   * failures instead of giving up on the first one
+   * @param {Array<string>} issueKeys - Issue keys to start from
+   * @returns {Promise<Object>} - { trees: [{ issue, epicIssues, subtasks }], failures }
+   */
+  async function fetchIssueTree(issueKeys) {
+    const trees = [];
+    const failures = [];
+
+    const attempt = async (issueKey, request) => {
+      try {
+        return await request();
+      } catch (error) {
+        const reason = describeRequestError(error);
+        console.error(`Failed to fetch issue ${issueKey}: ${reason}`);
+        failures.push({ issueKey, reason, category: categorizeJiraError(reason) });
+        return null;
+      }
+    };
+
+    for (const issueKey of issueKeys) {
+      const issue = await attempt(issueKey, () => fetchIssue(issueKey));
+      if (!issue) continue;
+
+      let epicIssues = [];
+      if (/epic/i.test(issue.fields?.issuetype?.name || '')) {
+        epicIssues = (await attempt(issueKey, () => fetchEpicChildren(issueKey))) || [];
+      }
+
+      // Subtask stubs only carry summary/status, fetch the full issues
+      const subtasks = [];
+      for (const parent of [issue, ...epicIssues]) {
+        for (const stub of parent.fields?.subtasks || []) {
+          const subtask = await attempt(stub.key, () => fetchIssue(stub.key));
+          if (subtask) subtasks.push(subtask);
+        }
+      }
+
+      trees.push({ issue, epicIssues, subtasks });
+    }
+
+    return { trees, failures };
+  }
+
+  return { baseUrl, fetchIssue, fetchEpicChildren, fetchIssueTree, searchIssues };
+}
@@ -0,0 +1,100 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Turn a fixture page into the Confluence REST content shape confluenceClient.js reads
+ * @param {Object} page - Fixture page
+ * @param {Object} fixture - { spaces, pages }
+ * @returns {Object} - Confluence REST content
+ */
+function toRestPage(page, fixture) {
+  const byId = new Map(fixture.pages.map(other => [other.id, other]));
+  const ancestors = [];
+  for (let parent = byId.get(page.parentId); parent; parent = byId.get(parent.parentId)) {
+    ancestors.unshift({ id: parent.id, title: parent.title, type: 'page' });
+  }
+  const space = fixture.spaces.find(other => other.key === page.space);
+  const children = fixture.pages.filter(other => other.parentId === page.id);
+
+  return {
+    id: page.id,
+    type: 'page',
+    status: 'current',
+    title: page.title,
+    space: { key: space.key, name: space.name },
+    version: { number: page.version, when: page.when, by: { displayName: page.by } },
+    ancestors,
+    children: { page: { results: children.map(child => ({ id: child.id, title: child.title })), size: children.length } },
+    body: { storage: { value: page.storage, representation: 'storage' } },
+    _links: { webui: `/spaces/${space.key}/pages/${page.id}` }
+  };
+}
+
+// Paginate a content list the way /wiki/rest/api/content does
+function contentList(req, pages) {
+  const start = Number(req.query.start) || 0;
+  const limit = Number(req.query.limit) || 25;
+  const results = pages.slice(start, start + limit);
+  const next = start + limit < pages.length ? { next: `${req.path}?start=${start + limit}&limit=${limit}` } : {};
+  return { results, start, limit, size: results.length, _links: next };
+}
+
+const errorStatuses = { 403: 403, 429: 429, 500: 500 };
+
+/**
+ * Express app imitating the Confluence REST endpoints used by confluenceClient.js.
+ * Page IDs 403, 429 and 500 answer with that status, unknown IDs and spaces with 404.
+ * @param {Object} fixture - { spaces: [{ key, name }], pages: [{ id, title, space, parentId, version, when, by, storage }] }
+ * @returns {Object} - Express app
+ */
+export function createMockConfluenceApp(fixture) {
+  const app = express();
+  const byId = new Map(fixture.pages.map(page => [page.id, page]));
+
+  app.use('/wiki/rest/api/content/:id', (req, res, next) => {
+    const status = errorStatuses[req.params.id];
+    if (status) return res.status(status).json({ statusCode: status, message: `Mock ${status}` });
+    if (!byId.has(req.params.id)) return res.status(404).json({ statusCode: 404, message: 'No content found with id' });
+    next();
+  });
+
+  app.get('/wiki/rest/api/content/:id', (req, res) => {
+    res.json(toRestPage(byId.get(req.params.id), fixture));
+  });
+
+  app.get('/wiki/rest/api/content/:id/descendant/page', (req, res) => {
+    const descendants = [];
+    const collect = (parentId) => {
+      for (const page of fixture.pages.filter(other => other.parentId === parentId)) {
+        descendants.push(page);
+        collect(page.id);
+      }
+    };
+    collect(req.params.id);
+    res.json(contentList(req, descendants.map(page => toRestPage(page, fixture))));
+  });
+
+  app.get('/wiki/rest/api/content', (req, res) => {
+    if (!fixture.spaces.some(space => space.key === req.query.spaceKey)) {
+      return res.status(404).json({ statusCode: 404, message: 'No space with key' });
+    }
+    const pages = fixture.pages.filter(page => page.space === req.query.spaceKey);
+    res.json(contentList(req, pages.map(page => toRestPage(page, fixture))));
+  });
+
+  return app;
+}
+
+// Run directly to serve the fixture pages: node fetches/mockConfluenceServer.js
+if (process.argv[1] === __filename) {
+  const port = process.env.MOCK_CONFLUENCE_PORT || 4011;
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'confluencePages.json'), 'utf-8'));
+  createMockConfluenceApp(fixture).listen(port, () => {
+    console.log(`Mock Confluence listening on http://localhost:${port} (CONFLUENCE_BASE_URL=http://localhost:${port})`);
+  });
+}
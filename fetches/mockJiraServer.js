@@ -0,0 +1,136 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseJiraIssues } from '../services/exportParsers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Turn a structured issue back into the Jira REST shape jiraClient.js reads
+ * @param {Object} issue - Structured issue
+ * @param {Array<Object>} all - Every fixture issue, to derive subtasks
+ * @returns {Object} - Jira REST issue
+ */
+function toRestIssue(issue, all) {
+  const isEpic = /epic/i.test(issue.type || '');
+  return {
+    key: issue.key,
+    fields: {
+      summary: issue.summary,
+      issuetype: { name: issue.type },
+      status: { name: issue.status },
+      priority: issue.priority ? { name: issue.priority } : null,
+      project: issue.project,
+      customfield_10014: issue.epic,
+      parent: issue.epic ? { key: issue.epic } : null,
+      customfield_10016: issue.storyPoints,
+      customfield_10020: issue.sprint ? [{ name: issue.sprint }] : null,
+      assignee: issue.assignee ? { displayName: issue.assignee } : null,
+      reporter: issue.reporter ? { displayName: issue.reporter } : null,
+      creator: issue.creator ? { displayName: issue.creator } : null,
+      created: issue.created?.toISOString(),
+      updated: issue.updated?.toISOString(),
+      resolutiondate: issue.resolved?.toISOString() || null,
+      description: issue.description,
+      comment: { total: issue.comments },
+      attachment: new Array(issue.attachments).fill({}),
+      // In the export, sub-tasks point at their parent story through "Epic"
+      subtasks: isEpic ? [] : all.filter(other => other.epic === issue.key).map(other => ({ key: other.key }))
+    }
+  };
+}
+
+const errorStatuses = { DENIED: 403, MISSING: 404, RATE: 429, BROKEN: 500 };
+
+/**
+ * Evaluate the JQL subset jiraClient.js and services/jiraSync.js send:
+ * clauses `key = X`, `parent = X`, `parent in (X, Y)` and `updated >= "-90m"`
+ * joined with AND
+ * @param {string} jql - JQL query
+ * @returns {Function|null} - Issue predicate, null for unsupported JQL
+ */
+function compileJql(jql) {
+  const predicates = [];
+  for (const clause of jql.split(/\s+AND\s+/i).map(part => part.trim())) {
+    let match;
+    if ((match = clause.match(/^(key|parent)\s*=\s*"?([A-Z0-9]+-\d+)"?$/i))) {
+      const [, field, key] = match;
+      predicates.push(issue => (field.toLowerCase() === 'key' ? issue.key : issue.epic) === key);
+    } else if ((match = clause.match(/^parent\s+in\s*\(([^)]*)\)$/i))) {
+      const keys = new Set(match[1].split(',').map(key => key.trim().replace(/"/g, '')));
+      predicates.push(issue => keys.has(issue.epic));
+    } else if ((match = clause.match(/^updated\s*>=\s*"-(\d+)m"$/i))) {
+      const since = Date.now() - Number(match[1]) * 60 * 1000;
+      predicates.push(issue => issue.updated && issue.updated.getTime() >= since);
+    } else {
+      return null;
+    }
+  }
+  return issue => predicates.every(predicate => predicate(issue));
+}
+
+/**
+ * Express app imitating the Jira REST endpoints used by jiraClient.js.
+ * The fixture stands in for parent links with the export's "Epic" field.
+ * Project keys DENIED, MISSING, RATE and BROKEN answer 403/404/429/500.
+ * @param {Array<Object>} issues - Structured issues to serve
+ * @returns {Object} - Express app
+ */
+export function createMockJiraApp(issues) {
+  const app = express();
+  // Looked up on every request, so issues edited in the array are served as changed
+  const findIssue = (key) => issues.find(issue => issue.key === key);
+
+  app.use('/rest', (req, res, next) => {
+    const project = req.path.match(/\/([A-Z0-9]+)-\d+/)?.[1];
+    if (errorStatuses[project]) {
+      return res.status(errorStatuses[project]).json({ errorMessages: [`Mock ${errorStatuses[project]}`] });
+    }
+    next();
+  });
+
+  app.get('/rest/api/3/issue/:key', (req, res) => {
+    const issue = findIssue(req.params.key);
+    if (!issue) return res.status(404).json({ errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+    res.json(toRestIssue(issue, issues));
+  });
+
+  app.get('/rest/agile/1.0/epic/:key/issue', (req, res) => {
+    const startAt = Number(req.query.startAt) || 0;
+    const maxResults = Number(req.query.maxResults) || 50;
+    const children = issues.filter(issue => issue.epic === req.params.key);
+    res.json({
+      startAt,
+      maxResults,
+      total: children.length,
+      issues: children.slice(startAt, startAt + maxResults).map(issue => toRestIssue(issue, issues))
+    });
+  });
+
+  app.get('/rest/api/3/search/jql', (req, res) => {
+    const matches = compileJql(String(req.query.jql || ''));
+    if (!matches) return res.status(400).json({ errorMessages: [`Unsupported JQL in mock: ${req.query.jql}`] });
+    const start = Number(req.query.nextPageToken) || 0;
+    const maxResults = Number(req.query.maxResults) || 50;
+    const found = issues.filter(matches);
+    const isLast = start + maxResults >= found.length;
+    res.json({
+      issues: found.slice(start, start + maxResults).map(issue => toRestIssue(issue, issues)),
+      isLast,
+      ...(isLast ? {} : { nextPageToken: String(start + maxResults) })
+    });
+  });
+
+  return app;
+}
+
+// Run directly to serve the sample export: node fetches/mockJiraServer.js
+if (process.argv[1] === __filename) {
+  const port = process.env.MOCK_JIRA_PORT || 4010;
+  const fixture = fs.readFileSync(path.join(__dirname, 'scripts', 'jira_epic_data.txt'), 'utf-8');
+  createMockJiraApp(parseJiraIssues(fixture)).listen(port, () => {
+    console.log(`Mock Jira listening on http://localhost:${port} (JIRA_BASE_URL=http://localhost:${port})`);
+  });
+}
@@ -0,0 +1,290 @@
+/**
+ * Convert Confluence storage format (XHTML with ac:/ri: elements) into
+ * markdown-flavoured plain text: headings, lists, tables, task lists, code
+ * and panel macros survive, presentation-only macros are dropped.
+ */
+
+const ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", rsquo: "'", lsquo: "'",
+  rdquo: '"', ldquo: '"', ndash: '-', mdash: '-', hellip: '...', bull: '*', middot: '*',
+  copy: '(c)', reg: '(R)', trade: '(TM)', times: 'x', rarr: '->', larr: '<-', zwj: '', zwnj: ''
+};
+
+// Macros with no useful text content
+const DROPPED_MACROS = new Set(['toc', 'children', 'anchor', 'recently-updated', 'pagetree', 'contributors', 'attachments', 'livesearch']);
+// Macros rendered in the flow of a paragraph
+const INLINE_MACROS = new Set(['jira', 'status', 'anchor']);
+const PANEL_MACROS = { info: 'Info', note: 'Note', warning: 'Warning', tip: 'Tip', panel: 'Panel' };
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col', 'ri:page', 'ri:attachment', 'ri:user', 'ri:url', 'ri:space', 'ac:emoticon']);
+
+/**
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted] of source.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Lenient XHTML parser: builds { name, attributes, children } nodes and text
+ * nodes ({ text }). Unbalanced closing tags are ignored rather than fatal.
+ * @param {string} xhtml - Storage format markup
+ * @returns {Object} - Root node
+ */
+function parse(xhtml) {
+  const root = { name: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const token = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+|<)/g;
+
+  for (const match of xhtml.matchAll(token)) {
+    const [, cdata, closing, name, attributeSource, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      parent.children.push({ text: cdata, raw: true });
+    } else if (text !== undefined) {
+      parent.children.push({ text: decodeEntities(text) });
+    } else if (name) {
+      const tag = name.toLowerCase();
+      if (closing) {
+        const index = stack.map(node => node.name).lastIndexOf(tag);
+        if (index > 0) stack.length = index;
+      } else {
+        const node = { name: tag, attributes: parseAttributes(attributeSource || ''), children: [] };
+        parent.children.push(node);
+        if (!selfClosing && !VOID_ELEMENTS.has(tag)) stack.push(node);
+      }
+    }
+  }
+  return root;
+}
+
+const childrenNamed = (node, name) => node.children.filter(child => child.name === name);
+const firstChild = (node, name) => node.children.find(child => child.name === name);
+const macroParameter = (node, name) => {
+  const parameter = childrenNamed(node, 'ac:parameter').find(param => param.attributes['ac:name'] === name);
+  return parameter ? textOf(parameter) : null;
+};
+
+// Raw text of a subtree, no formatting
+function textOf(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(textOf).join('');
+}
+
+// Collapse whitespace inside inline content
+const squash = text => text.replace(/[ \t\r\n]+/g, ' ');
+
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table', 'blockquote', 'pre', 'hr',
+  'ac:structured-macro', 'ac:task-list', 'ac:layout', 'ac:layout-section', 'ac:layout-cell'
+]);
+
+const isBlock = node => BLOCK_ELEMENTS.has(node.name) &&
+  !(node.name === 'ac:structured-macro' && INLINE_MACROS.has(node.attributes['ac:name']));
+
+function renderInline(node) {
+  if (node.text !== undefined) return node.raw ? node.text : squash(node.text);
+  const inner = () => node.children.map(renderInline).join('');
+
+  switch (node.name) {
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return text ? `_${text}_` : '';
+    }
+    case 'code':
+      return `\`${textOf(node)}\``;
+    case 'br':
+      return '\n';
+    case 'a': {
+      const text = inner().trim();
+      const href = node.attributes.href;
+      return href && href !== text ? `[${text || href}](${href})` : text;
+    }
+    case 'ac:link': {
+      const page = firstChild(node, 'ri:page');
+      const user = firstChild(node, 'ri:user');
+      const attachment = firstChild(node, 'ri:attachment');
+      const body = firstChild(node, 'ac:plain-text-link-body') || firstChild(node, 'ac:link-body');
+      if (user) return `@${user.attributes['ri:username'] || user.attributes['ri:account-id'] || 'user'}`;
+      const target = page?.attributes['ri:content-title'] || attachment?.attributes['ri:filename'] || '';
+      const label = body ? textOf(body).trim() : target;
+      return target ? `[[${label || target}]]` : label;
+    }
+    case 'ac:image': {
+      const attachment = firstChild(node, 'ri:attachment');
+      const url = firstChild(node, 'ri:url');
+      return `[image: ${attachment?.attributes['ri:filename'] || url?.attributes['ri:value'] || 'embedded'}]`;
+    }
+    case 'ac:emoticon':
+      return node.attributes['ac:emoji-fallback'] || '';
+    case 'time':
+      return node.attributes.datetime || inner();
+    case 'ac:placeholder':
+      return '';
+    case 'ac:structured-macro':
+      return isBlock(node) ? renderBlock(node) : renderMacro(node);
+    default:
+      if (BLOCK_ELEMENTS.has(node.name)) return renderBlock(node);
+      return inner();
+  }
+}
+
+function renderCell(cell) {
+  return renderChildren(cell).replace(/\n+/g, ' <br> ').replace(/\|/g, '\\|').trim();
+}
+
+function renderTable(table) {
+  const rows = [];
+  const collect = node => {
+    for (const child of node.children || []) {
+      if (child.name === 'tr') rows.push(child);
+      else if (['tbody', 'thead', 'tfoot'].includes(child.name)) collect(child);
+    }
+  };
+  collect(table);
+  if (rows.length === 0) return '';
+
+  const cells = rows.map(row => row.children.filter(child => child.name === 'td' || child.name === 'th').map(renderCell));
+  const width = Math.max(...cells.map(row => row.length));
+  const pad = row => [...row, ...new Array(width - row.length).fill('')];
+  const line = row => `| ${pad(row).join(' | ')} |`;
+
+  return [line(cells[0]), `| ${new Array(width).fill('---').join(' | ')} |`, ...cells.slice(1).map(line)].join('\n');
+}
+
+function renderList(list, depth = 0) {
+  const ordered = list.name === 'ol';
+  return childrenNamed(list, 'li').map((item, index) => {
+    const marker = ordered ? `${index + 1}.` : '-';
+    const nested = item.children.filter(child => child.name === 'ul' || child.name === 'ol');
+    const text = renderChildren({ children: item.children.filter(child => !nested.includes(child)) }).replace(/\n+/g, ' ');
+    const indent = '  '.repeat(depth);
+    return [`${indent}${marker} ${text}`.trimEnd(), ...nested.map(child => renderList(child, depth + 1))].join('\n');
+  }).join('\n');
+}
+
+function renderTaskList(list) {
+  return childrenNamed(list, 'ac:task').map(task => {
+    const status = textOf(firstChild(task, 'ac:task-status') || { text: '' }).trim();
+    const body = firstChild(task, 'ac:task-body');
+    const text = body ? renderChildren(body).replace(/\n+/g, ' ') : '';
+    return `- [${status === 'complete' ? 'x' : ' '}] ${text}`.trimEnd();
+  }).join('\n');
+}
+
+function renderMacro(macro) {
+  const name = macro.attributes['ac:name'];
+  const richBody = firstChild(macro, 'ac:rich-text-body');
+  const plainBody = firstChild(macro, 'ac:plain-text-body');
+
+  if (DROPPED_MACROS.has(name)) return '';
+  if (name === 'code' || name === 'noformat') {
+    const language = macroParameter(macro, 'language') || '';
+    return `\`\`\`${language}\n${plainBody ? textOf(plainBody).trim() : ''}\n\`\`\``;
+  }
+  if (PANEL_MACROS[name]) {
+    const title = macroParameter(macro, 'title');
+    const body = richBody ? renderChildren(richBody) : '';
+    const heading = `**${PANEL_MACROS[name]}${title ? `: ${title}` : ''}**`;
+    return [heading, ...body.split('\n')].map(line => `> ${line}`.trimEnd()).join('\n');
+  }
+  if (name === 'jira') {
+    const key = macroParameter(macro, 'key');
+    return key ? `[Jira: ${key}]` : `[Jira query: ${macroParameter(macro, 'jqlQuery') || ''}]`;
+  }
+  if (name === 'status') {
+    return `[${(macroParameter(macro, 'title') || macroParameter(macro, 'colour') || 'status').toUpperCase()}]`;
+  }
+  if (name === 'expand') {
+    const title = macroParameter(macro, 'title');
+    const body = richBody ? renderChildren(richBody) : '';
+    return title ? `**${title}**\n${body}` : body;
+  }
+  if (richBody) return renderChildren(richBody);
+  if (plainBody) return textOf(plainBody).trim();
+  return '';
+}
+
+function renderBlock(node) {
+  switch (node.name) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `${'#'.repeat(Number(node.name[1]))} ${renderChildren(node).replace(/\n+/g, ' ')}`;
+    case 'ul':
+    case 'ol':
+      return renderList(node);
+    case 'table':
+      return renderTable(node);
+    case 'ac:task-list':
+      return renderTaskList(node);
+    case 'ac:structured-macro':
+      return renderMacro(node);
+    case 'blockquote':
+      return renderChildren(node).split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+    case 'pre':
+      return `\`\`\`\n${textOf(node).trim()}\n\`\`\``;
+    case 'hr':
+      return '---';
+    default:
+      return renderChildren(node);
+  }
+}
+
+// Render children, separating block elements with blank lines
+function renderChildren(node) {
+  const blocks = [];
+  let inline = '';
+  const flushInline = () => {
+    const text = inline.split('\n').map(line => line.trim()).join('\n').trim();
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  for (const child of node.children || []) {
+    if (child.name && isBlock(child)) {
+      flushInline();
+      const block = renderBlock(child).trim();
+      if (block) blocks.push(block);
+    } else {
+      inline += renderInline(child);
+    }
+  }
+  flushInline();
+  return blocks.join('\n\n');
+}
+
+/**
+ * Convert storage format XHTML into markdown-flavoured text
+ * @param {string} xhtml - body.storage.value of a Confluence page
+ * @returns {string} - Clean text
+ */
+export function storageToMarkdown(xhtml) {
+  if (!xhtml) return '';
+  return renderChildren(parse(xhtml)).replace(/\n{3,}/g, '\n\n').trim();
+}
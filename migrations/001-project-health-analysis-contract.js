@@ -0,0 +1,97 @@
+// migrations/001-project-health-analysis-contract.js
+//
+// Moves ProjectHealth documents written against the old schema
+// (metrics.issueStatus as a string, metrics.riskFactors with factor/severity,
+// recommendations as plain strings) onto the analysis contract. The original
+// values are kept under legacyMetrics so nothing is lost.
+//
+// Usage: npm run migrate [-- --dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// "open: 4, in progress: 2, closed 7" -> { open: 4, inProgress: 2, closed: 7 }
+const parseIssueStatus = (text) => {
+  const find = (pattern) => {
+    const match = String(text).match(pattern);
+    return match ? Number(match[1]) : 0;
+  };
+  return {
+    open: find(/open\D*(\d+)/i),
+    inProgress: find(/in[\s_-]*progress\D*(\d+)/i),
+    closed: find(/(?:closed|done|resolved)\D*(\d+)/i),
+  };
+};
+
+const migrateRiskFactor = ({ factor, severity, impact }, index) => ({
+  id: `risk${index + 1}`,
+  description: impact ? `${factor}: ${impact}` : factor,
+  impact: String(severity || "MEDIUM").toUpperCase(),
+  mitigationStatus: "NOT_STARTED",
+});
+
+const migrateRecommendation = (recommendation, index) =>
+  typeof recommendation === "string"
+    ? { id: `rec${index + 1}`, title: recommendation, description: recommendation, status: "NOT_STARTED" }
+    : recommendation;
+
+const needsMigration = {
+  $or: [
+    { "metrics.issueStatus": { $type: "string" } },
+    { "metrics.riskFactors": { $exists: true } },
+    { "metrics.recommendations": { $elemMatch: { $type: "string" } } },
+  ],
+};
+
+const migrate = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const collection = mongoose.connection.collection("projecthealths");
+
+  let migrated = 0;
+  for await (const doc of collection.find(needsMigration)) {
+    const metrics = doc.metrics || {};
+    const $set = {};
+    const $unset = {};
+    const legacyMetrics = {};
+
+    if (typeof metrics.issueStatus === "string") {
+      legacyMetrics.issueStatus = metrics.issueStatus;
+      $set["metrics.issueStatus"] = parseIssueStatus(metrics.issueStatus);
+    }
+
+    if (metrics.riskFactors) {
+      legacyMetrics.riskFactors = metrics.riskFactors;
+      $set["metrics.projectRiskFactors"] = [
+        ...(metrics.projectRiskFactors || []),
+        ...metrics.riskFactors.map(migrateRiskFactor),
+      ];
+      $unset["metrics.riskFactors"] = "";
+    }
+
+    if ((metrics.recommendations || []).some((rec) => typeof rec === "string")) {
+      legacyMetrics.recommendations = metrics.recommendations;
+      $set["metrics.recommendations"] = metrics.recommendations.map(migrateRecommendation);
+    }
+
+    if (!metrics.milestones) $set["metrics.milestones"] = [];
+    $set.legacyMetrics = legacyMetrics;
+
+    console.log(`${dryRun ? "[dry run] " : ""}Migrating report ${doc._id}`);
+    if (!dryRun) {
+      const update = Object.keys($unset).length ? { $set, $unset } : { $set };
+      await collection.updateOne({ _id: doc._id }, update);
+    }
+    migrated++;
+  }
+
+  console.log(`${migrated} report(s) ${dryRun ? "would be migrated" : "migrated"}`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
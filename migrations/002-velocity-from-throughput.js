@@ -0,0 +1,51 @@
+// migrations/002-velocity-from-throughput.js
+//
+// metrics.velocity used to hold the share of story points completed (0-100),
+// which is what completionPercentage already measures. It is now the story
+// points finished per week (metrics.throughput.pointsPerWeek). Reports that
+// stored a throughput get their velocity recomputed from it; the old value is
+// kept under legacyMetrics.velocity. Older reports have no throughput and are
+// left as they are.
+//
+// Usage: npm run migrate:velocity [-- --dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import connectDB from "../config/db.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const needsMigration = {
+  "metrics.throughput.pointsPerWeek": { $exists: true },
+  "legacyMetrics.velocity": { $exists: false },
+};
+
+const migrate = async () => {
+  await connectDB(process.env.MONGODB_URI);
+  const collection = mongoose.connection.collection("projecthealths");
+
+  let migrated = 0;
+  for await (const doc of collection.find(needsMigration)) {
+    console.log(`${dryRun ? "[dry run] " : ""}Migrating report ${doc._id}`);
+    if (!dryRun) {
+      await collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            "legacyMetrics.velocity": doc.metrics.velocity ?? null,
+            "metrics.velocity": doc.metrics.throughput.pointsPerWeek,
+          },
+        }
+      );
+    }
+    migrated++;
+  }
+
+  console.log(`${migrated} report(s) ${dryRun ? "would be migrated" : "migrated"}`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
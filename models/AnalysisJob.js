@@ -0,0 +1,31 @@
+// models/AnalysisJob.js
+import mongoose from "mongoose";
+
+export const JOB_STATES = ["queued", "chunking", "extracting", "reducing", "synthesizing", "done", "failed"];
+export const ACTIVE_JOB_STATES = ["queued", "chunking", "extracting", "reducing", "synthesizing"];
+
+const analysisJobSchema = new mongoose.Schema(
+  {
+    state: { type: String, enum: JOB_STATES, default: "queued" },
+    // Analyse this project's latest source snapshots instead of the shared exports
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    // LLM provider overrides requested for this run
+    llm: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // chunk n of m while "extracting", merge round n while "reducing"
+    progress: {
+      current: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    error: { type: String },
+    // Per-attempt validation errors when the model output was rejected
+    diagnostics: { type: mongoose.Schema.Types.Mixed },
+    attempts: { type: Number, default: 0 },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("AnalysisJob", analysisJobSchema);
@@ -0,0 +1,35 @@
+// models/Conversation.js
+import mongoose from "mongoose";
+
+// A Q&A thread over one project's sources (POST /api/projects/:id/ask).
+// Earlier turns go back to the model so follow-up questions keep their context.
+const messageSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["user", "assistant"], required: true },
+    content: { type: String, required: true },
+    // Assistant turns: records the answer cites, and every record it was given
+    citations: [
+      {
+        _id: false,
+        source: { type: String },
+        type: { type: String, enum: ["jira", "confluence"] },
+        title: { type: String },
+        url: { type: String },
+      },
+    ],
+    retrieved: [{ type: String }],
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true, index: true },
+    messages: [messageSchema],
+    provider: { type: String },
+    model: { type: String },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Conversation", conversationSchema);
@@ -0,0 +1,29 @@
+// models/Embedding.js
+import mongoose from "mongoose";
+
+// One embedded retrieval block (services/retrieval.js): a Jira issue or a
+// Confluence document section. hash is of the block text, so an item is only
+// embedded again when its text changes.
+const embeddingSchema = new mongoose.Schema(
+  {
+    // Unset for the shared fetches/scripts exports
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+    // Issue key, or document ID and section ("4010409990#3")
+    item: { type: String, required: true },
+    source: { type: String, required: true },
+    type: { type: String, enum: ["jira", "confluence"], required: true },
+    section: { type: Number },
+    // Epic of a Jira issue, for grouping retrieved issues like the export chunker does
+    epic: { type: String },
+    text: { type: String, select: false },
+    hash: { type: String, required: true },
+    // Embedding model; vectors from different models are never compared
+    model: { type: String, required: true },
+    vector: { type: [Number], select: false },
+  },
+  { timestamps: true }
+);
+
+embeddingSchema.index({ project: 1, model: 1, item: 1 }, { unique: true });
+
+export default mongoose.model("Embedding", embeddingSchema);
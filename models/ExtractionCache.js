@@ -0,0 +1,25 @@
+// models/ExtractionCache.js
+import mongoose from "mongoose";
+
+// Model reply for one chunk extraction, keyed by a hash of the chunk text,
+// data type, provider, host, model, temperature and prompt version
+// (services/extractionCache.js). Entries are removed by Mongo once expiresAt
+// passes; every hit pushes it back.
+const extractionCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    provider: { type: String },
+    host: { type: String },
+    model: { type: String },
+    promptVersion: { type: String },
+    dataType: { type: String },
+    response: { type: String, required: true },
+    hits: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+extractionCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("ExtractionCache", extractionCacheSchema);
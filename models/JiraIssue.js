@@ -0,0 +1,48 @@
+// models/JiraIssue.js
+import mongoose from "mongoose";
+
+// Where an issue sits in the tree of the epic/issue it was synced for,
+// mirrors the main issue / epic issues / subtasks sections of the export
+export const ISSUE_ROLES = ["root", "epicIssue", "subtask"];
+
+// A project's copy of one Jira issue, kept up to date by services/jiraSync.js
+const jiraIssueSchema = new mongoose.Schema(
+  {
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    key: { type: String, required: true },
+    // The issue key from Project.jiraEpics this issue was fetched under
+    root: { type: String, required: true },
+    role: { type: String, enum: ISSUE_ROLES, required: true },
+    summary: { type: String },
+    type: { type: String },
+    status: { type: String },
+    priority: { type: String },
+    jiraProject: {
+      name: { type: String },
+      key: { type: String },
+    },
+    epic: { type: String },
+    parent: { type: String },
+    storyPoints: { type: Number },
+    sprint: { type: String },
+    assignee: { type: String },
+    reporter: { type: String },
+    creator: { type: String },
+    created: { type: Date },
+    // Jira's own last-changed time, compared on every sync
+    updated: { type: Date },
+    resolved: { type: Date },
+    dueDate: { type: Date },
+    comments: { type: Number, default: 0 },
+    attachments: { type: Number, default: 0 },
+    url: { type: String },
+    description: { type: String },
+    subtasks: [{ type: String }],
+  },
+  { timestamps: true }
+);
+
+jiraIssueSchema.index({ project: 1, key: 1 }, { unique: true });
+jiraIssueSchema.index({ project: 1, root: 1 });
+
+export default mongoose.model("JiraIssue", jiraIssueSchema);
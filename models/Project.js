@@ -0,0 +1,45 @@
+// models/Project.js
+import mongoose from "mongoose";
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a project name"],
+      trim: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    owner: {
+      type: String,
+      required: [true, "Please add a project owner"],
+      trim: true,
+    },
+    // Jira epic links or issue keys, fetched with their children and subtasks
+    jiraEpics: [{ type: String, trim: true }],
+    // Confluence page IDs, page URLs or space URLs
+    confluencePages: [{ type: String, trim: true }],
+    lastSyncedAt: { type: Date },
+    // Start of the last Jira sync that completed without failures; the next
+    // sync only asks Jira for issues updated since then
+    jiraSyncedAt: { type: Date },
+    // Automatic refresh, see services/scheduler.js
+    schedule: {
+      // 5-field cron expression in server local time, e.g. "0 7 * * 1-5"
+      cron: { type: String, trim: true },
+      enabled: { type: Boolean, default: false },
+      nextRunAt: { type: Date },
+      // Set while a run holds the project, so two runs never overlap. The run
+      // extends lockedUntil while it is alive and only clears a lock with its own token.
+      lockedUntil: { type: Date },
+      lockedBy: { type: String },
+      lockToken: { type: String, select: false },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Project", projectSchema);
@@ -1,29 +1,219 @@
 // models/ProjectHealth.js
 import mongoose from "mongoose";
 
-const riskFactorSchema = new mongoose.Schema({
-  factor: { type: String, required: true },
-  severity: { type: String, enum: ["Low", "Medium", "High"], required: true },
-  impact: { type: String, required: true },
-});
+// Mirrors the JSON contract in getProjectHealthAnalysis (services/projectHealthAnalysis.js)
+// and the /api/project-health-test fixture. Keep the three in sync.
+export const RAG_STATUSES = ["GREEN", "YELLOW", "RED"];
+export const IMPACT_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+export const WORK_STATUSES = ["NOT_STARTED", "IN_PROGRESS", "COMPLETED"];
+
+const percentage = { type: Number, min: 0, max: 100 };
+const count = { type: Number, min: 0, default: 0 };
+
+// Evidence for a claim, see services/citations.js. type, title and url are
+// looked up from the cited record, the model only gives source and excerpt.
+const citationSchema = new mongoose.Schema(
+  {
+    source: { type: String, required: true },
+    type: { type: String, enum: ["jira", "confluence"] },
+    excerpt: { type: String },
+    title: { type: String },
+    url: { type: String },
+  },
+  { _id: false }
+);
+
+const riskFactorSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    description: { type: String, required: true },
+    impact: { type: String, enum: IMPACT_LEVELS, uppercase: true, required: true },
+    mitigationStatus: { type: String, enum: WORK_STATUSES, uppercase: true, default: "NOT_STARTED" },
+    // Entry in the risk register (models/Risk.js), set when the report is saved
+    riskId: { type: mongoose.Schema.Types.ObjectId, ref: "Risk" },
+    citations: [citationSchema],
+  },
+  { _id: false }
+);
+
+const milestoneSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true },
+    description: { type: String },
+    status: { type: String, enum: RAG_STATUSES, uppercase: true },
+    completionPercentage: percentage,
+    dueDate: { type: Date },
+    velocity: percentage,
+    riskFactors: [riskFactorSchema],
+    citations: [citationSchema],
+    // Forecast of the matching epic (services/forecasting.js), unset when none matched
+    forecast: {
+      epic: { type: String },
+      p50: { type: Date },
+      p85: { type: Date },
+      p95: { type: Date },
+      status: { type: String, enum: [...RAG_STATUSES, null] },
+    },
+  },
+  { _id: false }
+);
+
+// Per-epic burn-up and Monte Carlo completion dates, see services/forecasting.js
+const forecastSchema = new mongoose.Schema(
+  {
+    epic: { type: String, required: true },
+    summary: { type: String },
+    dueDate: { type: Date },
+    unit: { type: String, enum: ["points", "issues"] },
+    scope: count,
+    done: count,
+    remaining: count,
+    completionPercentage: percentage,
+    throughput: {
+      source: { type: String, enum: ["epic", "project"] },
+      weeklySamples: [{ type: Number }],
+    },
+    forecast: {
+      p50: { type: Date },
+      p85: { type: Date },
+      p95: { type: Date },
+    },
+    status: { type: String, enum: [...RAG_STATUSES, null] },
+    burnUp: [{ _id: false, date: { type: Date }, scope: count, done: count }],
+  },
+  { _id: false }
+);
+
+const recommendationSchema = new mongoose.Schema(
+  {
+    id: { type: String },
+    title: { type: String, required: true },
+    description: { type: String },
+    status: { type: String, enum: WORK_STATUSES, uppercase: true, default: "NOT_STARTED" },
+    // Tracked item (models/Recommendation.js), set when the report is saved
+    recommendationId: { type: mongoose.Schema.Types.ObjectId, ref: "Recommendation" },
+  },
+  { _id: false }
+);
 
 const projectHealthSchema = new mongoose.Schema(
   {
     projectHealth: {
       type: String,
-      enum: ["GREEN", "YELLOW", "RED"],
+      enum: RAG_STATUSES,
+      uppercase: true,
       required: true,
     },
     score: { type: Number, min: 0, max: 100, required: true },
     metrics: {
-      velocity: { type: Number, min: 0, max: 100, required: true },
-      issueStatus: { type: String, required: true },
-      riskFactors: [riskFactorSchema],
-      recommendations: [{ type: String }],
+      // Story points finished per week (services/jiraMetrics.js); reports from
+      // before migrations/002-velocity-from-throughput.js may hold a percentage
+      velocity: { type: Number, min: 0, required: true },
+      issueStatus: {
+        open: count,
+        inProgress: count,
+        closed: count,
+      },
+      // Computed from the Jira export, see services/jiraMetrics.js
+      completionPercentage: percentage,
+      storyPoints: {
+        total: count,
+        done: count,
+        remaining: count,
+      },
+      throughput: {
+        windowDays: { type: Number },
+        issuesCompleted: count,
+        pointsCompleted: count,
+        pointsPerWeek: count,
+      },
+      assigneeLoad: [
+        {
+          _id: false,
+          assignee: { type: String },
+          open: count,
+          inProgress: count,
+          closed: count,
+          remainingPoints: count,
+        },
+      ],
+      teamPerformance: {
+        engagement: percentage,
+        satisfaction: percentage,
+        velocity: percentage,
+      },
+      projectRiskFactors: [riskFactorSchema],
+      milestones: [milestoneSchema],
+      recommendations: [recommendationSchema],
+      forecasts: [forecastSchema],
     },
     analysis: { type: String },
+    citations: [citationSchema],
+    // Unset for reports built from the shared fetches/scripts exports
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
+    // Provenance of AI-generated reports, unset for reports created by hand
+    sources: {
+      jiraKeys: [{ type: String }],
+      confluenceIds: [{ type: String }],
+      jiraSnapshot: { type: mongoose.Schema.Types.ObjectId, ref: "SourceSnapshot" },
+      confluenceSnapshot: { type: mongoose.Schema.Types.ObjectId, ref: "SourceSnapshot" },
+    },
+    processing: {
+      chunksProcessed: { type: Number },
+      jiraChunks: { type: Number },
+      confluenceChunks: { type: Number },
+      reduceRounds: { type: Number },
+      contextSize: { type: Number },
+      // Set when only the blocks closest to a query were analysed (?retrieval=true)
+      retrieval: {
+        query: { type: String },
+        limit: { type: Number },
+        retrieved: { type: Number },
+        embedded: { type: Number },
+        unchanged: { type: Number },
+        removed: { type: Number },
+      },
+      cache: {
+        hits: { type: Number },
+        misses: { type: Number },
+        refresh: { type: Boolean },
+      },
+      chunks: [
+        {
+          _id: false,
+          dataType: { type: String },
+          // Extraction came from the cache (services/extractionCache.js)
+          cached: { type: Boolean },
+          group: { type: String },
+          issueKeys: [{ type: String }],
+          documentIds: [{ type: String }],
+          extraction: { type: String },
+        },
+      ],
+      // Chunks the model failed on (timeouts, errors after retries); the report covers the rest
+      failedChunks: [
+        {
+          _id: false,
+          dataType: { type: String },
+          group: { type: String },
+          issueKeys: [{ type: String }],
+          documentIds: [{ type: String }],
+          error: { type: String },
+          attempts: { type: Number },
+        },
+      ],
+    },
+    provider: { type: String },
+    model: { type: String },
+    promptVersion: { type: String },
+    // Pre-contract metrics kept by migrations/001-project-health-analysis-contract.js
+    legacyMetrics: { type: mongoose.Schema.Types.Mixed, select: false },
   },
   { timestamps: true }
 );
 
+// Full-text search over the narrative (?q= on the reports list)
+projectHealthSchema.index({ analysis: "text" });
+projectHealthSchema.index({ createdAt: -1, _id: -1 });
+
 export default mongoose.model("ProjectHealth", projectHealthSchema);
@@ -0,0 +1,47 @@
+// models/Recommendation.js
+import mongoose from "mongoose";
+import { WORK_STATUSES } from "./ProjectHealth.js";
+
+export const RECOMMENDATION_EVENTS = ["created", "updated", "assigned"];
+
+// One line per change, from an analysis (report set) or a person (by set)
+const historyEntrySchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    event: { type: String, enum: RECOMMENDATION_EVENTS, required: true },
+    field: { type: String },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    by: { type: String },
+  },
+  { _id: false }
+);
+
+// A recommendation tracked across analyses. Status is owned by people once
+// the item exists: later reports restating it link to it through
+// recommendationId instead of resetting it to NOT_STARTED.
+// services/recommendationTracker.js does the matching.
+const recommendationSchema = new mongoose.Schema(
+  {
+    // Unset for recommendations from reports on the shared fetches/scripts exports
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
+    title: { type: String, required: [true, "Please add a recommendation title"], trim: true },
+    description: { type: String, trim: true },
+    status: { type: String, enum: WORK_STATUSES, uppercase: true, default: "NOT_STARTED" },
+    owner: { type: String, trim: true },
+    dueDate: { type: Date },
+    completedAt: { type: Date },
+    history: [historyEntrySchema],
+    firstSeenReport: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    lastSeenReport: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    lastSeenAt: { type: Date },
+    // Number of reports that made this recommendation
+    occurrences: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+recommendationSchema.index({ project: 1, status: 1 });
+
+export default mongoose.model("Recommendation", recommendationSchema);
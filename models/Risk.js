@@ -0,0 +1,61 @@
+// models/Risk.js
+import mongoose from "mongoose";
+import { IMPACT_LEVELS, WORK_STATUSES } from "./ProjectHealth.js";
+
+export const RISK_STATES = ["OPEN", "CLOSED"];
+export const RISK_EVENTS = ["created", "updated", "reported", "assigned", "annotated", "closed", "reopened"];
+
+// One line per change to a risk, from an analysis (report set) or a person (by set).
+// "reported" lines record what an analysis said without changing the tracked
+// values, e.g. a mitigation status the owner has moved on from.
+const historyEntrySchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    event: { type: String, enum: RISK_EVENTS, required: true },
+    field: { type: String },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    by: { type: String },
+  },
+  { _id: false }
+);
+
+const noteSchema = new mongoose.Schema(
+  {
+    author: { type: String, trim: true },
+    text: { type: String, required: true, trim: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A risk tracked across analyses. Reports point at it through riskId on
+// their projectRiskFactors; services/riskRegister.js does the matching.
+const riskSchema = new mongoose.Schema(
+  {
+    // Unset for risks from reports on the shared fetches/scripts exports
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", index: true },
+    description: { type: String, required: [true, "Please add a risk description"], trim: true },
+    impact: { type: String, enum: IMPACT_LEVELS, uppercase: true, required: true },
+    // Set by the owner after creation; analyses only update reportedMitigationStatus
+    mitigationStatus: { type: String, enum: WORK_STATUSES, uppercase: true, default: "NOT_STARTED" },
+    // Mitigation status in the latest report that raised the risk
+    reportedMitigationStatus: { type: String, enum: WORK_STATUSES, uppercase: true },
+    state: { type: String, enum: RISK_STATES, default: "OPEN" },
+    owner: { type: String, trim: true },
+    notes: [noteSchema],
+    history: [historyEntrySchema],
+    firstSeenReport: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    lastSeenReport: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    lastSeenAt: { type: Date },
+    // Number of reports that raised this risk
+    occurrences: { type: Number, default: 0 },
+    closedAt: { type: Date },
+    closeReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+riskSchema.index({ project: 1, state: 1 });
+
+export default mongoose.model("Risk", riskSchema);
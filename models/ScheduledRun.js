@@ -0,0 +1,28 @@
+// models/ScheduledRun.js
+import mongoose from "mongoose";
+
+export const RUN_TRIGGERS = ["schedule", "manual"];
+export const RUN_STATES = ["syncing", "analyzing", "done", "failed"];
+
+// One refresh of a project: source sync followed by an analysis job
+const scheduledRunSchema = new mongoose.Schema(
+  {
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    trigger: { type: String, enum: RUN_TRIGGERS, required: true },
+    state: { type: String, enum: RUN_STATES, default: "syncing" },
+    // syncProjectSources summary (added/changed/removed issues, snapshot ids)
+    sync: { type: mongoose.Schema.Types.Mixed },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "AnalysisJob" },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectHealth" },
+    error: { type: String },
+    // Token of the project lock this run holds (Project schedule.lockToken)
+    lockToken: { type: String, select: false },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+scheduledRunSchema.index({ project: 1, createdAt: -1 });
+
+export default mongoose.model("ScheduledRun", scheduledRunSchema);
@@ -0,0 +1,25 @@
+// models/SourceSnapshot.js
+import mongoose from "mongoose";
+
+export const SNAPSHOT_SOURCES = ["jira", "confluence"];
+
+// One fetch of a project's Jira or Confluence sources. The export text is the
+// same format the fetchers write to fetches/scripts, so the analysis pipeline
+// can read either.
+const sourceSnapshotSchema = new mongoose.Schema(
+  {
+    project: { type: mongoose.Schema.Types.ObjectId, ref: "Project", required: true },
+    source: { type: String, enum: SNAPSHOT_SOURCES, required: true },
+    // Links / IDs the fetch was asked for
+    references: [{ type: String }],
+    // Issue keys or document IDs actually fetched
+    items: [{ type: String }],
+    failures: { type: mongoose.Schema.Types.Mixed, default: [] },
+    content: { type: String, required: true, select: false },
+  },
+  { timestamps: true }
+);
+
+sourceSnapshotSchema.index({ project: 1, source: 1, createdAt: -1 });
+
+export default mongoose.model("SourceSnapshot", sourceSnapshotSchema);
@@ -1,18 +1,77 @@
 // routes/projectHealth.js
 import express from "express";
+import { query } from "express-validator";
 import {
   createReport,
   getReports,
   getReportById,
   updateReport,
   deleteReport,
+  getHealthTrends,
+  compareHealthReports,
 } from "../controllers/projectHealthController.js";
+import { createAnalysisJob, getAnalysisJob, streamAnalysis } from "../controllers/analysisJobController.js";
+import { TREND_BUCKETS } from "../services/healthTrends.js";
+import ProjectHealth, { RAG_STATUSES } from "../models/ProjectHealth.js";
 
 const router = express.Router();
 
+// Background analysis jobs
+router.post("/jobs", createAnalysisJob);
+router.get("/jobs/:id", getAnalysisJob);
+
+// Live analysis streamed as Server-Sent Events
+router.get(
+  "/stream",
+  [query("project").optional().isMongoId().withMessage("project must be a project id")],
+  streamAnalysis
+);
+
+// Trends and comparisons (before "/:id" so they aren't read as report ids)
+router.get(
+  "/trends",
+  [
+    query(["from", "to"]).optional().isISO8601().withMessage("must be an ISO 8601 date"),
+    query("bucket").optional().isIn(TREND_BUCKETS).withMessage(`bucket must be one of ${TREND_BUCKETS.join(", ")}`),
+    query("project").optional().isMongoId().withMessage("project must be a project id"),
+  ],
+  getHealthTrends
+);
+router.get(
+  "/compare",
+  [
+    query("base").isMongoId().withMessage("base must be a report id"),
+    query("target").isMongoId().withMessage("target must be a report id"),
+  ],
+  compareHealthReports
+);
+
+// Report list. GET /api/project-health itself runs a live analysis (server.js),
+// so the list is served from /reports; "/" only answers if that handler goes.
+const selectableField = (field) =>
+  field !== "legacyMetrics" && ["real", "nested"].includes(ProjectHealth.schema.pathType(field));
+const reportListValidators = [
+  query("projectHealth")
+    .optional()
+    .custom((value) => value.toUpperCase().split(",").every((status) => RAG_STATUSES.includes(status)))
+    .withMessage(`projectHealth must be a comma separated list of ${RAG_STATUSES.join(", ")}`),
+  query(["minScore", "maxScore"]).optional().isFloat({ min: 0, max: 100 }).withMessage("must be a number from 0 to 100"),
+  query(["from", "to"]).optional().isISO8601().withMessage("must be an ISO 8601 date"),
+  query("project").optional().isMongoId().withMessage("project must be a project id"),
+  query("q").optional().isString().trim().notEmpty().withMessage("q cannot be empty"),
+  query("page").optional().isInt({ min: 1 }).withMessage("page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1 }).withMessage("limit must be a positive integer"),
+  query("cursor").optional().isString(),
+  query("fields")
+    .optional()
+    .custom((value) => value.split(",").every(selectableField))
+    .withMessage("fields must be a comma separated list of report fields, e.g. score,metrics.velocity"),
+];
+router.get("/reports", reportListValidators, getReports);
+
 // CRUD
 router.post("/", createReport);
-router.get("/", getReports);
+router.get("/", reportListValidators, getReports);
 router.get("/:id", getReportById);
 router.put("/:id", updateReport);
 router.delete("/:id", deleteReport);
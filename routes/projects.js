@@ -0,0 +1,96 @@
+// routes/projects.js
+import express from "express";
+import { body } from "express-validator";
+import {
+  createProject,
+  getProjects,
+  getProjectById,
+  updateProject,
+  deleteProject,
+  syncProject,
+  getProjectSnapshots,
+  analyzeProject,
+  createProjectAnalysisJob,
+  getProjectHealth,
+  getProjectReports,
+  updateProjectSchedule,
+  triggerProjectRefresh,
+  getProjectRuns,
+  getProjectRun,
+  askProjectQuestion,
+  getProjectConversation,
+} from "../controllers/projectController.js";
+
+const router = express.Router();
+
+const sourceListValidators = [
+  body("jiraEpics").optional().isArray().withMessage("jiraEpics must be an array of Jira links/keys"),
+  body("confluencePages").optional().isArray().withMessage("confluencePages must be an array of page IDs/URLs"),
+];
+
+// Create
+router.post(
+  "/",
+  [
+    body("name").notEmpty().withMessage("Name required"),
+    body("owner").notEmpty().withMessage("Owner required"),
+    ...sourceListValidators,
+  ],
+  createProject
+);
+
+// Read all
+router.get("/", getProjects);
+
+// Read one
+router.get("/:id", getProjectById);
+
+// Update
+router.put(
+  "/:id",
+  [
+    body("name").optional().notEmpty().withMessage("Name cannot be empty"),
+    body("owner").optional().notEmpty().withMessage("Owner cannot be empty"),
+    ...sourceListValidators,
+  ],
+  updateProject
+);
+
+// Delete
+router.delete("/:id", deleteProject);
+
+// Sources
+router.post("/:id/sync", syncProject);
+router.get("/:id/snapshots", getProjectSnapshots);
+
+// Health analysis and reports
+router.get("/:id/health", getProjectHealth);
+router.post("/:id/health", analyzeProject);
+router.post("/:id/health/jobs", createProjectAnalysisJob);
+router.get("/:id/reports", getProjectReports);
+
+// Scheduled refresh and run history
+router.put(
+  "/:id/schedule",
+  [
+    body("cron").isString().withMessage("cron must be a cron expression, e.g. \"0 7 * * 1-5\""),
+    body("enabled").optional().isBoolean().withMessage("enabled must be a boolean"),
+  ],
+  updateProjectSchedule
+);
+router.get("/:id/runs", getProjectRuns);
+router.post("/:id/runs", triggerProjectRefresh);
+router.get("/:id/runs/:runId", getProjectRun);
+
+// Questions over the project's sources
+router.post(
+  "/:id/ask",
+  [
+    body("question").isString().trim().notEmpty().withMessage("Question required"),
+    body("conversationId").optional().isMongoId().withMessage("conversationId must be a conversation id"),
+  ],
+  askProjectQuestion
+);
+router.get("/:id/conversations/:conversationId", getProjectConversation);
+
+export default router;
@@ -0,0 +1,60 @@
+// routes/recommendations.js
+import express from "express";
+import { body, query } from "express-validator";
+import {
+  createRecommendation,
+  getRecommendations,
+  getRecommendationById,
+  updateRecommendation,
+  deleteRecommendation,
+} from "../controllers/recommendationController.js";
+import { WORK_STATUSES } from "../models/ProjectHealth.js";
+
+const router = express.Router();
+
+const isWorkStatus = (value) => WORK_STATUSES.includes(String(value).toUpperCase());
+const statusMessage = `status must be one of ${WORK_STATUSES.join(", ")}`;
+
+// Create
+router.post(
+  "/",
+  [
+    body("title").isString().trim().notEmpty().withMessage("Title required"),
+    body("description").optional().isString(),
+    body("status").optional().custom(isWorkStatus).withMessage(statusMessage),
+    body("project").optional().isMongoId().withMessage("project must be a project id"),
+    body("dueDate").optional().isISO8601().withMessage("dueDate must be a date (YYYY-MM-DD)"),
+  ],
+  createRecommendation
+);
+
+// Read all
+router.get(
+  "/",
+  [
+    query("project").optional().isMongoId().withMessage("project must be a project id"),
+    query("status").optional().custom(isWorkStatus).withMessage(statusMessage),
+  ],
+  getRecommendations
+);
+
+// Read one
+router.get("/:id", getRecommendationById);
+
+// Update (dueDate: null clears it)
+router.put(
+  "/:id",
+  [
+    body("title").optional().isString().trim().notEmpty().withMessage("Title cannot be empty"),
+    body("description").optional().isString(),
+    body("status").optional().custom(isWorkStatus).withMessage(statusMessage),
+    body("owner").optional().isString().trim(),
+    body("dueDate").optional({ values: "null" }).isISO8601().withMessage("dueDate must be a date (YYYY-MM-DD)"),
+  ],
+  updateRecommendation
+);
+
+// Delete
+router.delete("/:id", deleteRecommendation);
+
+export default router;
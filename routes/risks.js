@@ -0,0 +1,78 @@
+// routes/risks.js
+import express from "express";
+import { body, query } from "express-validator";
+import {
+  createRisk,
+  getRisks,
+  getRiskById,
+  updateRisk,
+  assignRisk,
+  annotateRisk,
+  closeRisk,
+  reopenRisk,
+  deleteRisk,
+} from "../controllers/riskController.js";
+import { IMPACT_LEVELS, WORK_STATUSES } from "../models/ProjectHealth.js";
+import { RISK_STATES } from "../models/Risk.js";
+
+const router = express.Router();
+
+const upperIn = (values) => (value) => values.includes(String(value).toUpperCase());
+
+// Create
+router.post(
+  "/",
+  [
+    body("description").isString().trim().notEmpty().withMessage("Description required"),
+    body("impact").custom(upperIn(IMPACT_LEVELS)).withMessage(`impact must be one of ${IMPACT_LEVELS.join(", ")}`),
+    body("mitigationStatus")
+      .optional()
+      .custom(upperIn(WORK_STATUSES))
+      .withMessage(`mitigationStatus must be one of ${WORK_STATUSES.join(", ")}`),
+    body("project").optional().isMongoId().withMessage("project must be a project id"),
+  ],
+  createRisk
+);
+
+// Read all
+router.get(
+  "/",
+  [
+    query("project").optional().isMongoId().withMessage("project must be a project id"),
+    query("state").optional().custom(upperIn(RISK_STATES)).withMessage(`state must be one of ${RISK_STATES.join(", ")}`),
+    query("impact").optional().custom(upperIn(IMPACT_LEVELS)).withMessage(`impact must be one of ${IMPACT_LEVELS.join(", ")}`),
+    query("mitigationStatus")
+      .optional()
+      .custom(upperIn(WORK_STATUSES))
+      .withMessage(`mitigationStatus must be one of ${WORK_STATUSES.join(", ")}`),
+  ],
+  getRisks
+);
+
+// Read one
+router.get("/:id", getRiskById);
+
+// Update
+router.put(
+  "/:id",
+  [
+    body("description").optional().isString().trim().notEmpty().withMessage("Description cannot be empty"),
+    body("impact").optional().custom(upperIn(IMPACT_LEVELS)).withMessage(`impact must be one of ${IMPACT_LEVELS.join(", ")}`),
+    body("mitigationStatus")
+      .optional()
+      .custom(upperIn(WORK_STATUSES))
+      .withMessage(`mitigationStatus must be one of ${WORK_STATUSES.join(", ")}`),
+  ],
+  updateRisk
+);
+
+// Lifecycle
+router.post("/:id/assign", [body("owner").isString().trim().notEmpty().withMessage("Owner required")], assignRisk);
+router.post("/:id/notes", [body("text").isString().trim().notEmpty().withMessage("Note text required")], annotateRisk);
+router.post("/:id/close", closeRisk);
+router.post("/:id/reopen", reopenRisk);
+
+// Delete
+router.delete("/:id", deleteRisk);
+
+export default router;
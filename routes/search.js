@@ -0,0 +1,19 @@
+// routes/search.js
+import express from "express";
+import { query } from "express-validator";
+import { search } from "../controllers/searchController.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  [
+    query("q").isString().trim().notEmpty().withMessage("q required"),
+    query("project").optional().isMongoId().withMessage("project must be a project id"),
+    query("type").optional().isIn(["jira", "confluence"]).withMessage("type must be jira or confluence"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit must be an integer from 1 to 100"),
+  ],
+  search
+);
+
+export default router;
@@ -0,0 +1,30 @@
+// routes/sources.js
+import express from "express";
+import { body } from "express-validator";
+import { fetchJiraSource, fetchConfluenceSource } from "../controllers/sourcesController.js";
+
+const router = express.Router();
+
+// Refresh jira_epic_data.txt from epic links / issue keys
+router.post(
+  "/jira",
+  [
+    body("links")
+      .custom((value) => typeof value === "string" || (Array.isArray(value) && value.length > 0))
+      .withMessage("links must be a Jira link/key or a non-empty array of them"),
+  ],
+  fetchJiraSource
+);
+
+// Refresh confluence_documents_data.txt from page IDs/URLs, whole spaces or page trees
+router.post(
+  "/confluence",
+  [
+    body(["ids", "spaces", "ancestors"]).optional().isArray().withMessage("must be an array"),
+    body().custom(({ ids = [], spaces = [], ancestors = [] }) => ids.length + spaces.length + ancestors.length > 0)
+      .withMessage("Provide at least one of ids, spaces or ancestors"),
+  ],
+  fetchConfluenceSource
+);
+
+export default router;
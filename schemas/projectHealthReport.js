@@ -0,0 +1,88 @@
+// schemas/projectHealthReport.js
+// JSON Schema for the analysis the model must return. Mirrors models/ProjectHealth.js;
+// enums are shared so the two cannot drift apart.
+import { RAG_STATUSES, IMPACT_LEVELS, WORK_STATUSES } from "../models/ProjectHealth.js";
+
+const percentage = { type: "number", minimum: 0, maximum: 100 };
+
+// Evidence for a claim: a Jira issue key or Confluence document ID from the
+// input (checked against the input by services/citations.js) and a short quote
+const citations = {
+  type: "array",
+  minItems: 1,
+  items: {
+    type: "object",
+    required: ["source", "excerpt"],
+    properties: {
+      source: { type: "string", minLength: 1 },
+      excerpt: { type: "string" },
+    },
+  },
+};
+
+const riskFactor = {
+  type: "object",
+  required: ["id", "description", "impact", "mitigationStatus", "citations"],
+  properties: {
+    id: { type: "string" },
+    description: { type: "string", minLength: 1 },
+    impact: { enum: IMPACT_LEVELS },
+    mitigationStatus: { enum: WORK_STATUSES },
+    citations,
+  },
+};
+
+const milestone = {
+  type: "object",
+  required: ["title", "status", "completionPercentage", "dueDate", "citations"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    status: { enum: RAG_STATUSES },
+    completionPercentage: percentage,
+    dueDate: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}" },
+    velocity: percentage,
+    riskFactors: { type: "array", items: riskFactor },
+    citations,
+  },
+};
+
+const recommendation = {
+  type: "object",
+  required: ["id", "title", "description", "status"],
+  properties: {
+    id: { type: "string" },
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    status: { enum: WORK_STATUSES },
+  },
+};
+
+export default {
+  $id: "project-health-report",
+  type: "object",
+  required: ["projectHealth", "score", "metrics", "analysis", "citations"],
+  properties: {
+    projectHealth: { enum: RAG_STATUSES },
+    score: percentage,
+    metrics: {
+      type: "object",
+      // velocity, issueStatus etc. are computed from the Jira export (services/jiraMetrics.js)
+      // and merged in after validation, so the model is not asked for them
+      required: ["teamPerformance", "projectRiskFactors", "milestones", "recommendations"],
+      properties: {
+        teamPerformance: {
+          type: "object",
+          required: ["engagement", "satisfaction", "velocity"],
+          properties: { engagement: percentage, satisfaction: percentage, velocity: percentage },
+        },
+        projectRiskFactors: { type: "array", items: riskFactor },
+        milestones: { type: "array", items: milestone },
+        recommendations: { type: "array", items: recommendation },
+      },
+    },
+    analysis: { type: "string", minLength: 1 },
+    // Evidence for the analysis text
+    citations,
+  },
+};
@@ -0,0 +1,72 @@
+// schemas/projectHealthSample.js
+// A report that satisfies schemas/projectHealthReport.js. Served by
+// /api/project-health-test and returned by the mock LLM provider.
+export default {
+  projectHealth: "GREEN",
+  score: 92,
+  metrics: {
+    velocity: 78,
+    issueStatus: {
+      open: 23,
+      inProgress: 67,
+      closed: 10,
+    },
+    teamPerformance: {
+      engagement: 78,
+      satisfaction: 72,
+      velocity: 75,
+    },
+    projectRiskFactors: [
+      {
+        id: "risk1",
+        description: "Focus on Accessibility project",
+        impact: "MEDIUM",
+        mitigationStatus: "NOT_STARTED",
+        citations: [{ source: "A11Y-676", excerpt: "Support Local testing in Website scanner" }],
+      },
+    ],
+    milestones: [
+      {
+        title: "Accessibility Milestone",
+        description: "Post GA task briefs",
+        status: "GREEN",
+        completionPercentage: 60,
+        dueDate: "2023-10-01",
+        velocity: 78,
+        riskFactors: [
+          {
+            id: "risk1",
+            description: "Focus on Accessibility project",
+            impact: "MEDIUM",
+            mitigationStatus: "NOT_STARTED",
+            citations: [{ source: "A11Y-676", excerpt: "Support Local testing in Website scanner" }],
+          },
+        ],
+        citations: [
+          { source: "A11Y-676", excerpt: "Support Local testing in Website scanner" },
+          { source: "4010409990", excerpt: "Task Brief: Publicly Accessible reports" },
+        ],
+      },
+    ],
+    recommendations: [
+      {
+        id: "rec1",
+        title: "Improve Team Velocity",
+        description: "Focus on removing blockers and improving workflow",
+        status: "NOT_STARTED",
+      },
+      {
+        id: "rec2",
+        title: "Address Accessibility Risks",
+        description: "Start mitigation strategies for accessibility project risks",
+        status: "NOT_STARTED",
+      },
+    ],
+  },
+  analysis:
+    "Project health is currently green. The team's velocity is good, but there's a moderate risk factor associated with the Accessibility project. There are some milestones progressing. Recommendations for improvement include increasing team velocity, assessing risk mitigation status of the 'Accessibility' project milestone, and addressing the 'Accessibility' risk factor.",
+  citations: [
+    { source: "A11Y-676", excerpt: "Support Local testing in Website scanner" },
+    { source: "4010409990", excerpt: "Task Brief: Publicly Accessible reports" },
+  ],
+};
@@ -0,0 +1,94 @@
+// services/analysisJobs.js
+import AnalysisJob, { ACTIVE_JOB_STATES } from "../models/AnalysisJob.js";
+import { analyzeProjectHealth, saveAnalysisReport } from "./projectHealthAnalysis.js";
+import { analyzeProjectSources } from "./projectSources.js";
+
+// Jobs run one at a time: every job hammers the same local Ollama instance,
+// so running them side by side only makes each one slower.
+let queue = Promise.resolve();
+
+const runJob = async (jobId) => {
+  const job = await AnalysisJob.findById(jobId);
+  if (!job) return;
+
+  job.set({
+    state: "chunking",
+    startedAt: new Date(),
+    attempts: job.attempts + 1,
+    error: undefined,
+    diagnostics: undefined,
+  });
+  job.progress = { current: 0, total: 0 };
+  await job.save();
+
+  try {
+    const options = {
+      llm: job.llm,
+      // Extraction workers report progress concurrently, and saving the same
+      // document twice at once throws ParallelSaveError: write it atomically
+      onProgress: async (state, progress) => {
+        await AnalysisJob.updateOne({ _id: job._id }, { $set: { state, ...(progress && { progress }) } });
+      },
+    };
+    const run = job.project ? await analyzeProjectSources(job.project, options) : await analyzeProjectHealth(options);
+    const report = await saveAnalysisReport(run);
+    job.set({ state: "done", result: run.analysis, report: report?._id, finishedAt: new Date() });
+    await job.save();
+  } catch (error) {
+    console.error(`Analysis job ${jobId} failed:`, error);
+    job.set({ state: "failed", error: error.message, diagnostics: error.diagnostics, finishedAt: new Date() });
+    await job.save();
+  }
+};
+
+// Returns a promise that settles once this job has run
+const schedule = (jobId) => {
+  queue = queue.then(() => runJob(jobId)).catch((error) => {
+    console.error(`Analysis job ${jobId} could not be run:`, error);
+  });
+  return queue;
+};
+
+/**
+ * Create a queued analysis job and schedule it on the in-process queue
+ * @param {Object} [llm] - Provider overrides, stored so a resumed job uses the same model
+ * @param {string} [project] - Project whose snapshots to analyse, the shared exports if unset
+ * @returns {Promise<Object>} - The persisted AnalysisJob document
+ */
+export const enqueueAnalysisJob = async (llm = {}, project) => {
+  const job = await AnalysisJob.create({ llm, project });
+  schedule(job._id);
+  return job;
+};
+
+/**
+ * Queue an analysis job and wait for it to finish, for callers that need the
+ * result but should still take their turn on the shared queue
+ * @param {Object} [llm] - Provider overrides
+ * @param {string} [project] - Project whose snapshots to analyse
+ * @param {Function} [onQueued] - async (job) callback once the job exists
+ * @returns {Promise<Object>} - The finished AnalysisJob document (state done or failed)
+ */
+export const runAnalysisJob = async (llm = {}, project, onQueued = async () => {}) => {
+  const job = await AnalysisJob.create({ llm, project });
+  await onQueued(job);
+  await schedule(job._id);
+  return AnalysisJob.findById(job._id);
+};
+
+/**
+ * Re-queue jobs left unfinished by a restart. Work done before the restart is
+ * lost, so they start over from the chunking step.
+ */
+export const resumeAnalysisJobs = async () => {
+  try {
+    const jobs = await AnalysisJob.find({ state: { $in: ACTIVE_JOB_STATES } }).sort({ createdAt: 1 });
+    for (const job of jobs) {
+      console.log(`Resuming analysis job ${job._id} (was ${job.state})`);
+      await job.updateOne({ state: "queued", progress: { current: 0, total: 0 } });
+      schedule(job._id);
+    }
+  } catch (error) {
+    console.error("Failed to resume analysis jobs:", error);
+  }
+};
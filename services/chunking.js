@@ -0,0 +1,153 @@
+// services/chunking.js
+// Structure-aware chunking of the Jira and Confluence exports. Records are
+// never split unless a single one is larger than a chunk, and a chunk only
+// holds records from one group (epic / Confluence parent path) so the model
+// sees related work together. Every chunk lists the records it came from.
+import { parseJiraExportRecords, parseConfluenceExportRecords } from "./exportParsers.js";
+
+/**
+ * Plain text splitter used for oversized records and unrecognised exports.
+ * Cuts at the last sentence end in each window.
+ */
+const splitIntoChunks = (text, chunkSize = 5000) => {
+  const chunks = [];
+  let i = 0;
+  while (i < text.length) {
+    // Find a good breaking point near the chunk size
+    let end = Math.min(i + chunkSize, text.length);
+    if (end < text.length) {
+      // Last sentence end in the window; the first one made chunks a sentence long
+      let possibleEnd = -1;
+      for (const match of text.substring(i, end).matchAll(/[.!?][\s\n]/g)) {
+        possibleEnd = match.index;
+      }
+      if (possibleEnd > chunkSize / 2) {
+        end = i + possibleEnd + 2;
+      }
+    }
+    chunks.push(text.substring(i, end));
+    i = end;
+  }
+  return chunks;
+};
+
+// Resolve each issue to the epic it rolls up to. Sub-tasks point at their
+// parent story in the "Epic" field, so follow the chain through known issues.
+const epicOf = (issue, byKey, seen = new Set()) => {
+  if (/epic/i.test(issue.fields.Type || "")) return issue.key;
+  const parentKey = issue.fields.Epic;
+  if (!parentKey || parentKey === "N/A") return null;
+  const parent = byKey.get(parentKey);
+  if (!parent || seen.has(parentKey)) return parentKey;
+  seen.add(parentKey);
+  return epicOf(parent, byKey, seen) || parentKey;
+};
+
+/**
+ * Pack grouped records into chunks of at most chunkSize characters
+ * @param {Array<Object>} records - [{ id, group, text }]
+ * @param {string} idField - Metadata field the record ids are listed under
+ * @param {string} groupLabel - Prefix for the group line at the top of each chunk
+ */
+const packRecords = (records, chunkSize, idField, groupLabel) => {
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record.group)) groups.set(record.group, []);
+    groups.get(record.group).push(record);
+  }
+
+  const chunks = [];
+  for (const [group, members] of groups) {
+    const header = `${groupLabel}: ${group}\n\n`;
+    let current = null;
+    const flush = () => {
+      if (current) chunks.push(current);
+      current = null;
+    };
+
+    for (const record of members) {
+      if (header.length + record.text.length > chunkSize) {
+        // Too big for any chunk: give it chunks of its own
+        flush();
+        const pieces = splitIntoChunks(record.text, chunkSize - header.length - record.id.length - 16);
+        pieces.forEach((piece, index) =>
+          chunks.push({
+            text: `${header}[${record.id} part ${index + 1}/${pieces.length}]\n${piece}`,
+            metadata: { group, [idField]: [record.id] },
+          })
+        );
+        continue;
+      }
+      if (current && current.text.length + record.text.length + 2 > chunkSize) flush();
+      if (!current) current = { text: header.trimEnd(), metadata: { group, [idField]: [] } };
+      current.text += `\n\n${record.text}`;
+      // Sections of one document share its id
+      if (!current.metadata[idField].includes(record.id)) current.metadata[idField].push(record.id);
+    }
+    flush();
+  }
+  return chunks;
+};
+
+// Unrecognised format: plain splitting without source metadata
+const fallbackChunks = (text, chunkSize, idField) =>
+  splitIntoChunks(text, chunkSize).map((chunk) => ({ text: chunk, metadata: { group: null, [idField]: [] } }));
+
+/**
+ * Chunk a jira_epic_data.txt export, keeping issues whole and grouped by epic
+ * @returns {Array<Object>} - [{ text, metadata: { group, issueKeys } }]
+ */
+export const chunkJiraExport = (text, chunkSize = 5000) => {
+  const issues = parseJiraExportRecords(text);
+  if (issues.length === 0) return fallbackChunks(text, chunkSize, "issueKeys");
+
+  const byKey = new Map(issues.map((issue) => [issue.key, issue]));
+  const records = issues.map((issue) => ({
+    id: issue.key,
+    group: epicOf(issue, byKey) || "No epic",
+    text: issue.text,
+  }));
+  return packRecords(records, chunkSize, "issueKeys", "Epic");
+};
+
+/**
+ * Chunk a confluence_documents_data.txt export, keeping documents whole and
+ * grouped by parent path
+ * @returns {Array<Object>} - [{ text, metadata: { group, documentIds } }]
+ */
+export const chunkConfluenceExport = (text, chunkSize = 5000) => {
+  const documents = parseConfluenceExportRecords(text);
+  if (documents.length === 0) return fallbackChunks(text, chunkSize, "documentIds");
+
+  const records = documents.map((doc) => ({
+    id: doc.id,
+    group: doc.parentPath || "Root Level",
+    text: doc.text,
+  }));
+  return packRecords(records, chunkSize, "documentIds", "Parent Path");
+};
+
+/**
+ * Chunk retrieved blocks (services/retrieval.js) the same way: issues grouped
+ * by epic, document sections grouped by document
+ * @param {Array<Object>} blocks - [{ id, type, text, epic?, section? }]
+ * @returns {Object} - { jiraChunks, confluenceChunks } shaped like the export chunkers' output
+ */
+export const chunkRetrievedBlocks = (blocks, chunkSize = 5000) => ({
+  jiraChunks: packRecords(
+    blocks
+      .filter((block) => block.type === "jira")
+      .map((block) => ({ id: block.id, group: block.epic || "No epic", text: block.text })),
+    chunkSize,
+    "issueKeys",
+    "Epic"
+  ),
+  confluenceChunks: packRecords(
+    blocks
+      .filter((block) => block.type === "confluence")
+      .map((block) => ({ id: block.id, group: block.id, text: block.text })),
+    chunkSize,
+    "documentIds",
+    "Document"
+  ),
+});
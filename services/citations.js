@@ -0,0 +1,118 @@
+// services/citations.js
+// Evidence for the claims in a report. The model cites the Jira issue keys and
+// Confluence document IDs its risks, milestones and narrative come from, with a
+// quote; every cited ID must be one of the records the model was given, and
+// the quote must appear in that record.
+
+// Where a report carries citations, as [path, citations] pairs
+const citedClaims = (report) => {
+  const claims = [["/citations", report.citations]];
+  (report.metrics?.projectRiskFactors || []).forEach((risk, index) =>
+    claims.push([`/metrics/projectRiskFactors/${index}/citations`, risk.citations])
+  );
+  (report.metrics?.milestones || []).forEach((milestone, index) => {
+    claims.push([`/metrics/milestones/${index}/citations`, milestone.citations]);
+    (milestone.riskFactors || []).forEach((risk, riskIndex) =>
+      claims.push([`/metrics/milestones/${index}/riskFactors/${riskIndex}/citations`, risk.citations])
+    );
+  });
+  return claims.filter(([, citations]) => Array.isArray(citations));
+};
+
+// "[A11Y-676]", "a11y-676" and "doc:4010409990" as the plain ID
+const normalizeSourceId = (source) => {
+  const id = String(source)
+    .trim()
+    .replace(/^\[(.*)\]$/, "$1")
+    .replace(/^(doc|document|page)\s*:?\s*/i, "")
+    .trim();
+  return /^[a-z][a-z0-9_]*-\d+$/i.test(id) ? id.toUpperCase() : id;
+};
+
+// Quotes are compared without case and whitespace differences
+const normalizeText = (text) => String(text).toLowerCase().replace(/\s+/g, " ").trim();
+
+// Pieces of a quote that must each appear in the source: surrounding quote
+// marks are dropped and "..." marks an omission
+const quotedPieces = (excerpt) =>
+  normalizeText(excerpt)
+    .replace(/^["'“”‘’]+|["'“”‘’]+$/g, "")
+    .split(/\s*(?:\.\.\.|…)\s*/)
+    .filter(Boolean);
+
+// jira.rb writes "N/A" for a missing URL
+const present = (value) => (value && value !== "N/A" ? value : null);
+
+/**
+ * Records an analysis may cite
+ * @param {Array<Object>} issues - Records from parseJiraExportRecords
+ * @param {Array<Object>} documents - Records from parseConfluenceExportRecords
+ * @returns {Map<string, Object>} - id => { type, title, url, text }
+ */
+export const collectSources = (issues, documents) =>
+  new Map([
+    ...issues.map(({ key, fields, text }) => [
+      key,
+      { type: "jira", title: present(fields.Summary), url: present(fields.URL), text },
+    ]),
+    ...documents.map(({ id, title, fields, text }) => [
+      id,
+      { type: "confluence", title, url: present(fields.URL), text },
+    ]),
+  ]);
+
+/**
+ * Only the sources among the given ids, e.g. the records that were sent to the model
+ * @param {Map<string, Object>} sources - Result of collectSources
+ * @param {Iterable<string>} ids - Issue keys and document IDs
+ * @returns {Map<string, Object>}
+ */
+export const pickSources = (sources, ids) =>
+  new Map([...new Set(ids)].filter((id) => sources.has(id)).map((id) => [id, sources.get(id)]));
+
+/**
+ * Check that every citation names a record from the input and quotes it.
+ * Source IDs are normalised in place ("[a11y-676]" becomes "A11Y-676").
+ * @param {Object} report - Schema-valid analysis
+ * @param {Map<string, Object>} sources - Records the model was given (collectSources / pickSources)
+ * @returns {Array<string>} - Validation errors in the style of validateHealthReport
+ */
+export const validateCitations = (report, sources) => {
+  const errors = [];
+  for (const [path, citations] of citedClaims(report)) {
+    citations.forEach((citation, index) => {
+      citation.source = normalizeSourceId(citation.source);
+      const source = sources.get(citation.source);
+      if (!source) {
+        errors.push(
+          `${path}/${index}/source "${citation.source}" is not an issue key or document ID from the input; cite only sources named in the extracts`
+        );
+        return;
+      }
+      const pieces = quotedPieces(citation.excerpt);
+      const text = normalizeText(source.text);
+      if (pieces.length === 0 || !pieces.every((piece) => text.includes(piece))) {
+        errors.push(
+          `${path}/${index}/excerpt "${citation.excerpt}" does not appear in ${citation.source}; quote its text word for word`
+        );
+      }
+    });
+  }
+  return errors;
+};
+
+/**
+ * Add the type, title and link of each cited record, in place
+ * @param {Object} report - Analysis that passed validateCitations
+ * @param {Map<string, Object>} sources - Result of collectSources
+ * @returns {Object} - The same report
+ */
+export const resolveCitations = (report, sources) => {
+  for (const [, citations] of citedClaims(report)) {
+    for (const citation of citations) {
+      const { type, title, url } = sources.get(citation.source);
+      Object.assign(citation, { type, title, url });
+    }
+  }
+  return report;
+};
@@ -0,0 +1,132 @@
+// services/cron.js
+// Minimal 5-field cron expressions (minute hour day-of-month month day-of-week)
+// for project schedules: *, lists, ranges, steps, month/day names and the
+// @hourly/@daily/@weekly/@monthly shorthands. Times are server local time.
+
+export class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CronError";
+    this.statusCode = 422;
+  }
+}
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const parseValue = (text, field) => {
+  const name = field.names?.indexOf(text.toLowerCase());
+  if (name >= 0) return name + field.offset;
+  if (!/^\d+$/.test(text)) throw new CronError(`Invalid ${field.name} value "${text}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+};
+
+// Set of allowed values for one field, or null for "*" (matches anything)
+const parseField = (text, field) => {
+  if (text === "*") return null;
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new CronError(`Invalid step "${stepText}" in ${field.name}`);
+
+    let from;
+    let to;
+    if (range === "*") {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes("-")) {
+      [from, to] = range.split("-").map((value) => parseValue(value, field));
+      if (from > to) throw new CronError(`Invalid ${field.name} range "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  // Sunday is both 0 and 7
+  if (field.name === "day of week" && values.delete(7)) values.add(0);
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 7 * * 1-5" for 07:00 on weekdays
+ * @returns {Object} - { expression, minute, hour, dayOfMonth, month, dayOfWeek }, each a Set or null for "*"
+ * @throws {CronError} - When the expression is malformed
+ */
+export const parseCron = (expression) => {
+  const source = String(expression || "").trim();
+  const parts = (SHORTHANDS[source.toLowerCase()] || source).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronError(`Cron expression "${source}" must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  return { expression: source, minute, hour, dayOfMonth, month, dayOfWeek };
+};
+
+const matches = (set, value) => set === null || set.has(value);
+
+// Like cron: with both day fields restricted a day matches if either does
+const dayMatches = (cron, date) => {
+  const byMonthDay = matches(cron.dayOfMonth, date.getDate());
+  const byWeekDay = matches(cron.dayOfWeek, date.getDay());
+  if (cron.dayOfMonth !== null && cron.dayOfWeek !== null) return byMonthDay || byWeekDay;
+  return byMonthDay && byWeekDay;
+};
+
+// Five years of minutes is more than any valid expression needs
+const MAX_STEPS = 5 * 366 * 24 * 60;
+
+/**
+ * Next time after `from` an expression fires
+ * @param {string|Object} expression - Cron expression or parseCron result
+ * @param {Date} [from] - Start point (exclusive), defaults to now
+ * @returns {Date} - Next matching minute
+ * @throws {CronError} - When the expression never fires (e.g. "0 0 31 2 *")
+ */
+export const nextRun = (expression, from = new Date()) => {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let steps = 0; steps < MAX_STEPS; steps++) {
+    if (!matches(cron.month, date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!matches(cron.hour, date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!matches(cron.minute, date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new CronError(`Cron expression "${cron.expression}" never fires`);
+};
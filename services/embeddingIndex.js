@@ -0,0 +1,111 @@
+// services/embeddingIndex.js
+// Embedding index over the retrieval blocks of a project's exports (or the
+// shared ones), stored in Mongo and searched by cosine similarity. Indexing is
+// incremental: only blocks whose text changed since the last run are embedded.
+import crypto from "crypto";
+import Embedding from "../models/Embedding.js";
+
+// Texts per embedding request
+const EMBED_BATCH_SIZE = 16;
+
+export class EmbeddingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmbeddingError";
+    this.statusCode = 502;
+  }
+}
+
+const hashText = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+const itemOf = (block) => (block.section ? `${block.id}#${block.section}` : block.id);
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const embed = async (llm, texts) => {
+  try {
+    return await llm.embed(texts);
+  } catch (error) {
+    throw new EmbeddingError(`Embedding with ${llm.name} model "${llm.embedModel}" failed: ${error.message}`);
+  }
+};
+
+/**
+ * Bring the index up to date with the given blocks: embed new and changed
+ * blocks, drop the ones that are gone
+ * @param {string|null} project - Project id, null for the shared exports
+ * @param {Array<Object>} blocks - Result of buildBlocks (services/retrieval.js)
+ * @param {Object} llm - Provider from createLLMProvider
+ * @returns {Promise<Object>} - { embedded, unchanged, removed }
+ * @throws {EmbeddingError}
+ */
+export const indexBlocks = async (project, blocks, llm) => {
+  const scope = { project: project ?? null, model: llm.embedModel };
+  const existing = new Map((await Embedding.find(scope).select("item hash").lean()).map((doc) => [doc.item, doc.hash]));
+
+  const current = new Map(blocks.map((block) => [itemOf(block), { block, hash: hashText(block.text) }]));
+  const changed = [...current].filter(([item, { hash }]) => existing.get(item) !== hash);
+  const removed = [...existing.keys()].filter((item) => !current.has(item));
+
+  for (let start = 0; start < changed.length; start += EMBED_BATCH_SIZE) {
+    const batch = changed.slice(start, start + EMBED_BATCH_SIZE);
+    const vectors = await embed(llm, batch.map(([, { block }]) => block.text));
+    await Embedding.bulkWrite(
+      batch.map(([item, { block, hash }], index) => ({
+        updateOne: {
+          filter: { ...scope, item },
+          update: {
+            $set: {
+              source: block.id,
+              type: block.type,
+              section: block.section,
+              epic: block.epic,
+              text: block.text,
+              hash,
+              vector: vectors[index],
+            },
+          },
+          upsert: true,
+        },
+      }))
+    );
+  }
+  if (removed.length) await Embedding.deleteMany({ ...scope, item: { $in: removed } });
+
+  return { embedded: changed.length, unchanged: current.size - changed.length, removed: removed.length };
+};
+
+/**
+ * Most similar indexed blocks for a query
+ * @param {string|null} project - Project id, null for the shared exports
+ * @param {string} query - Free text
+ * @param {Object} llm - Provider from createLLMProvider
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Results to return
+ * @param {string} [options.type] - Only "jira" or only "confluence" blocks
+ * @returns {Promise<Array<Object>>} - [{ block: { id, type, section, epic, text }, score }], best first
+ * @throws {EmbeddingError}
+ */
+export const searchIndex = async (project, query, llm, { limit = 10, type } = {}) => {
+  const [vector] = await embed(llm, [query]);
+  const filter = { project: project ?? null, model: llm.embedModel, ...(type && { type }) };
+  const items = await Embedding.find(filter).select("+text +vector").lean();
+
+  return items
+    .map(({ source, type: itemType, section, epic, text, vector: itemVector }) => ({
+      block: { id: source, type: itemType, section, epic, text },
+      score: cosineSimilarity(vector, itemVector),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,132 @@
+// services/exportParsers.js
+// Parsers for the text exports written by fetches/jira.js and
+// fetches/confluence.js (the layout jira.rb / confluence.rb used). Both wrap
+// each record in 80 "=" lines, indented two spaces per nesting level, with
+// "Name: value" header lines followed by free text.
+
+const RECORD_SEPARATOR = /^[ \t]*={80}[ \t]*$/;
+
+// Split an export into the raw lines of each record that starts with `firstField`
+const splitRecords = (text, firstField) => {
+  const records = [];
+  const lines = text.split(/\r?\n/);
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (RECORD_SEPARATOR.test(line)) {
+      if (current) {
+        records.push(current);
+        current = null;
+      } else if (lines[i + 1]?.trim().startsWith(`${firstField}:`)) {
+        current = [];
+      }
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  return records;
+};
+
+// Header fields until `bodyMarker`, everything after it is the body
+const parseRecord = (lines, bodyMarker) => {
+  const indent = lines[0].match(/^\s*/)[0].length;
+  const dedented = lines.map((line) => line.slice(Math.min(indent, line.match(/^\s*/)[0].length)));
+  const fields = {};
+  let bodyStart = dedented.length;
+
+  for (let i = 0; i < dedented.length; i++) {
+    const line = dedented[i];
+    if (line.trim() === `${bodyMarker}:`) {
+      bodyStart = i + 1;
+      break;
+    }
+    const match = line.match(/^([A-Za-z][\w /]*?):\s?(.*)$/);
+    if (match) fields[match[1]] = match[2].trim();
+  }
+
+  return {
+    fields,
+    body: dedented.slice(bodyStart).join("\n").trim(),
+    text: dedented.join("\n").trim(),
+  };
+};
+
+/**
+ * Split a jira_epic_data.txt export into issue records
+ * @param {string} text - Export file contents
+ * @returns {Array<Object>} - [{ key, fields, description, text }] in export order
+ */
+export const parseJiraExportRecords = (text) =>
+  splitRecords(text, "Issue Key").map((lines) => {
+    const { fields, body, text: recordText } = parseRecord(lines, "Description");
+    return { key: fields["Issue Key"], fields, description: body, text: recordText };
+  });
+
+/**
+ * Split a confluence_documents_data.txt export into document records
+ * @param {string} text - Export file contents
+ * @returns {Array<Object>} - [{ id, title, parentPath, fields, content, text }] in export order
+ */
+export const parseConfluenceExportRecords = (text) =>
+  splitRecords(text, "Document ID").map((lines) => {
+    const { fields, body, text: recordText } = parseRecord(lines, "CONTENT");
+    return {
+      id: fields["Document ID"],
+      title: fields.Title,
+      parentPath: fields["Parent Path"],
+      fields,
+      content: body,
+      text: recordText,
+    };
+  });
+
+// "N/A", "Not resolved", "Unassigned" etc. are how jira.rb writes missing values
+const MISSING_VALUES = new Set(["", "N/A", "Not resolved", "Unassigned", "No description"]);
+
+const text = (value) => (value === undefined || MISSING_VALUES.has(value) ? null : value);
+
+const number = (value) => {
+  const parsed = parseFloat(text(value));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const date = (value) => {
+  const parsed = text(value) && new Date(value);
+  return parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+};
+
+/**
+ * Parse a jira_epic_data.txt export into typed issue objects
+ * @param {string} exportText - Export file contents
+ * @returns {Array<Object>} - [{ key, summary, type, status, priority, project, epic, storyPoints,
+ *   sprint, assignee, reporter, creator, created, updated, resolved, dueDate, comments, attachments,
+ *   url, description }] with null for missing values and Date objects for timestamps. dueDate is
+ *   null in exports written before the Due Date line was added
+ */
+export const parseJiraIssues = (exportText) =>
+  parseJiraExportRecords(exportText).map(({ key, fields, description }) => {
+    const project = (fields.Project || "").match(/^(.*) \((.+)\)$/);
+    return {
+      key,
+      summary: text(fields.Summary),
+      type: text(fields.Type),
+      status: text(fields.Status),
+      priority: text(fields.Priority),
+      project: project ? { name: project[1], key: project[2] } : null,
+      epic: text(fields.Epic),
+      storyPoints: number(fields["Story Points"]),
+      sprint: text(fields.Sprint),
+      assignee: text(fields.Assignee),
+      reporter: text(fields.Reporter),
+      creator: text(fields.Creator),
+      created: date(fields.Created),
+      updated: date(fields.Updated),
+      resolved: date(fields.Resolved),
+      dueDate: date(fields["Due Date"]),
+      comments: number(fields.Comments) || 0,
+      attachments: number(fields.Attachments) || 0,
+      url: text(fields.URL),
+      description: text(description),
+    };
+  });
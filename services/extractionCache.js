@@ -0,0 +1,66 @@
+// services/extractionCache.js
+// Cache of chunk extractions, so re-running an analysis on unchanged data only
+// sends the changed chunks to the model. The cache is an optimisation: when
+// Mongo is unavailable or a lookup fails, the chunk is simply extracted again.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ExtractionCache from "../models/ExtractionCache.js";
+
+const TTL_DAYS = Number(process.env.EXTRACTION_CACHE_TTL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const expiresAt = () => new Date(Date.now() + TTL_DAYS * DAY_MS);
+
+// Skip the cache rather than wait on Mongoose's buffering without a connection
+const available = () => mongoose.connection.readyState === 1;
+
+/**
+ * Cache key of one extraction. Provider and host are part of it: the same
+ * model name on another server (or the mock provider) is another model.
+ * @param {Object} entry - { text, dataType, provider, host, model, temperature, promptVersion }
+ * @returns {string} - sha256 hex digest
+ */
+export const extractionKey = ({ text, dataType, provider, host, model, temperature, promptVersion }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([promptVersion, provider, host ?? null, model, temperature ?? null, dataType, text]))
+    .digest("hex");
+
+/**
+ * Cached model reply for a key, extending its expiry
+ * @param {string} key - Result of extractionKey
+ * @returns {Promise<string|null>} - The reply, null on a miss
+ */
+export const readExtraction = async (key) => {
+  if (!available()) return null;
+  try {
+    const entry = await ExtractionCache.findOneAndUpdate(
+      { key },
+      { $inc: { hits: 1 }, $set: { expiresAt: expiresAt() } },
+      { new: true }
+    ).lean();
+    return entry?.response ?? null;
+  } catch (error) {
+    console.warn("Extraction cache lookup failed:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Store (or replace) the model reply for a key
+ * @param {string} key - Result of extractionKey
+ * @param {string} response - Model reply
+ * @param {Object} [details] - { provider, host, model, promptVersion, dataType } kept for inspection
+ */
+export const writeExtraction = async (key, response, details = {}) => {
+  if (!available()) return;
+  try {
+    await ExtractionCache.updateOne(
+      { key },
+      { $set: { ...details, response, expiresAt: expiresAt() }, $setOnInsert: { hits: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn("Extraction cache write failed:", error.message);
+  }
+};
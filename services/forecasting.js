@@ -0,0 +1,247 @@
+// services/forecasting.js
+// Per-epic burn-up and completion forecasts from parsed Jira issues
+// (services/exportParsers.js). Completion dates come from a Monte Carlo
+// simulation over the weekly throughput of recent weeks, so the report can
+// give a range instead of the single date the model used to make up.
+import { statusCategory, completedAt } from "./jiraMetrics.js";
+import { findBestMatch } from "./textSimilarity.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Weeks of history the throughput samples are drawn from
+const FORECAST_WINDOW_WEEKS = Number(process.env.FORECAST_WINDOW_WEEKS) || 8;
+const FORECAST_TRIALS = Number(process.env.FORECAST_TRIALS) || 2000;
+// Trials that haven't finished by then count as finishing then
+const MAX_FORECAST_WEEKS = 104;
+// Milestone titles are matched to epic summaries when they don't name the epic key
+const MILESTONE_MATCH_THRESHOLD = 0.4;
+
+// Small seeded PRNG (mulberry32): the same export gives the same forecast
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const seedOf = (text) => [...text].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+const isEpic = (issue) => /epic/i.test(issue.type || "");
+
+const addWeeks = (date, weeks) => new Date(date.getTime() + weeks * WEEK_MS);
+
+/**
+ * Simulate how many weeks the remaining work takes by drawing weekly
+ * throughput from the samples, with replacement
+ * @param {number} remaining - Work left, in the samples' unit
+ * @param {Array<number>} samples - Work finished in each recent week
+ * @param {Object} [options]
+ * @param {number} [options.trials] - Number of simulated futures
+ * @param {Function} [options.random] - () => [0, 1)
+ * @returns {Object|null} - { p50, p85, p95 } weeks, null when the samples never finish anything
+ */
+export const simulateCompletion = (remaining, samples, { trials = FORECAST_TRIALS, random = Math.random } = {}) => {
+  if (remaining <= 0) return { p50: 0, p85: 0, p95: 0 };
+  if (!samples.some((sample) => sample > 0)) return null;
+
+  const outcomes = [];
+  for (let trial = 0; trial < trials; trial++) {
+    let left = remaining;
+    let weeks = 0;
+    while (left > 0 && weeks < MAX_FORECAST_WEEKS) {
+      left -= samples[Math.floor(random() * samples.length)];
+      weeks++;
+    }
+    outcomes.push(weeks);
+  }
+  outcomes.sort((a, b) => a - b);
+  return { p50: percentile(outcomes, 50), p85: percentile(outcomes, 85), p95: percentile(outcomes, 95) };
+};
+
+// Work finished in each of the last `weeks` weeks before now, oldest first
+const weeklyThroughput = (issues, size, now, weeks) => {
+  const samples = new Array(weeks).fill(0);
+  const start = now.getTime() - weeks * WEEK_MS;
+  for (const issue of issues) {
+    const finished = completedAt(issue);
+    if (!finished || finished.getTime() < start || finished.getTime() > now.getTime()) continue;
+    samples[Math.min(weeks - 1, Math.floor((finished.getTime() - start) / WEEK_MS))] += size(issue);
+  }
+  return samples;
+};
+
+// Weekly points of scope (issues created so far) and done (finished so far)
+// from the epic's first issue until now
+const burnUp = (issues, size, now) => {
+  const created = issues.map((issue) => issue.created).filter(Boolean);
+  if (created.length === 0) return [];
+  const start = Math.min(...created.map((date) => date.getTime()));
+  const points = [];
+  for (let at = start; ; at += WEEK_MS) {
+    const date = new Date(Math.min(at, now.getTime()));
+    let scope = 0;
+    let done = 0;
+    for (const issue of issues) {
+      if (!issue.created || issue.created > date) continue;
+      scope += size(issue);
+      const finished = completedAt(issue);
+      if (finished && finished <= date) done += size(issue);
+    }
+    points.push({ date, scope, done });
+    if (at >= now.getTime()) break;
+  }
+  return points;
+};
+
+// RED when the likely (p50) date passes the due date, YELLOW when only the
+// cautious (p85) one does
+const forecastStatus = (dueDate, dates, remaining, now) => {
+  if (!dueDate) return null;
+  if (remaining <= 0) return "GREEN";
+  if (!dates) return now > dueDate ? "RED" : "YELLOW";
+  if (dates.p50 > dueDate) return "RED";
+  if (dates.p85 > dueDate) return "YELLOW";
+  return "GREEN";
+};
+
+/**
+ * Forecast every epic in a parsed Jira export. Work is counted in story
+ * points when the epic's issues are estimated, in issues otherwise. An epic
+ * that finished nothing in the window is forecast from the project's
+ * throughput instead.
+ * @param {Array<Object>} issues - Typed issues from parseJiraIssues
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {number} [options.windowWeeks] - Weeks of throughput history
+ * @param {number} [options.trials] - Monte Carlo trials per epic
+ * @returns {Array<Object>} - [{ epic, summary, dueDate, unit, scope, done, remaining,
+ *   completionPercentage, throughput: { source, weeklySamples }, forecast: { p50, p85, p95 } | null,
+ *   status, burnUp }] with forecast dates as Date objects
+ */
+export const forecastEpics = (
+  issues,
+  { now = new Date(), windowWeeks = FORECAST_WINDOW_WEEKS, trials = FORECAST_TRIALS } = {}
+) => {
+  const workItems = issues.filter((issue) => !isEpic(issue));
+  const epics = new Map(issues.filter(isEpic).map((epic) => [epic.key, { epic, issues: [] }]));
+  for (const issue of workItems) {
+    if (!issue.epic) continue;
+    if (!epics.has(issue.epic)) epics.set(issue.epic, { epic: { key: issue.epic }, issues: [] });
+    epics.get(issue.epic).issues.push(issue);
+  }
+
+  return [...epics.values()]
+    .filter(({ issues: epicIssues }) => epicIssues.length > 0)
+    .map(({ epic, issues: epicIssues }) => {
+      const unit = epicIssues.some((issue) => issue.storyPoints) ? "points" : "issues";
+      const size = unit === "points" ? (issue) => issue.storyPoints || 0 : () => 1;
+
+      const scope = epicIssues.reduce((sum, issue) => sum + size(issue), 0);
+      const done = epicIssues
+        .filter((issue) => statusCategory(issue.status) === "closed")
+        .reduce((sum, issue) => sum + size(issue), 0);
+      const remaining = scope - done;
+
+      let source = "epic";
+      let samples = weeklyThroughput(epicIssues, size, now, windowWeeks);
+      if (!samples.some((sample) => sample > 0)) {
+        source = "project";
+        samples = weeklyThroughput(workItems, size, now, windowWeeks);
+      }
+
+      const weeks = simulateCompletion(remaining, samples, { trials, random: seededRandom(seedOf(epic.key)) });
+      const forecast = weeks && {
+        p50: addWeeks(now, weeks.p50),
+        p85: addWeeks(now, weeks.p85),
+        p95: addWeeks(now, weeks.p95),
+      };
+      const dueDate = epic.dueDate || null;
+
+      return {
+        epic: epic.key,
+        summary: epic.summary || null,
+        dueDate,
+        unit,
+        scope,
+        done,
+        remaining,
+        completionPercentage: scope > 0 ? Math.round((done / scope) * 100) : 0,
+        throughput: { source, weeklySamples: samples },
+        forecast,
+        status: forecastStatus(dueDate, forecast, remaining, now),
+        burnUp: burnUp(epicIssues, size, now),
+      };
+    });
+};
+
+const RAG_ORDER = ["GREEN", "YELLOW", "RED"];
+
+// Epic a milestone is about: named by key, else the closest summary
+const epicForMilestone = (milestone, forecasts) => {
+  const text = `${milestone.title || ""} ${milestone.description || ""}`;
+  const byKey = forecasts.find(({ epic }) => new RegExp(`\\b${epic}\\b`).test(text));
+  if (byKey) return byKey;
+  return findBestMatch(text, forecasts, {
+    textOf: (forecast) => forecast.summary,
+    threshold: MILESTONE_MATCH_THRESHOLD,
+  })?.item;
+};
+
+/**
+ * Replace the model's guesses on each milestone with its epic's forecast:
+ * completion from the burn-up, due date from Jira when the epic has one, and
+ * the status raised to YELLOW/RED when the forecast passes the due date.
+ * Milestones that match no epic are left as the model wrote them.
+ * @param {Array<Object>} milestones - Report milestones (changed in place)
+ * @param {Array<Object>} forecasts - Result of forecastEpics
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time, as given to forecastEpics
+ * @returns {Array<Object>} - The same milestones
+ */
+export const applyForecasts = (milestones = [], forecasts = [], { now = new Date() } = {}) => {
+  for (const milestone of milestones) {
+    const forecast = epicForMilestone(milestone, forecasts);
+    if (!forecast) continue;
+
+    const dueDate = forecast.dueDate || (milestone.dueDate ? new Date(milestone.dueDate) : null);
+    const status = forecastStatus(
+      dueDate && !Number.isNaN(dueDate.getTime()) ? dueDate : null,
+      forecast.forecast,
+      forecast.remaining,
+      now
+    );
+    milestone.completionPercentage = forecast.completionPercentage;
+    if (forecast.dueDate) milestone.dueDate = forecast.dueDate.toISOString().slice(0, 10);
+    if (status && RAG_ORDER.indexOf(status) > RAG_ORDER.indexOf(milestone.status)) milestone.status = status;
+    milestone.forecast = {
+      epic: forecast.epic,
+      ...(forecast.forecast || {}),
+      status,
+    };
+  }
+  return milestones;
+};
+
+/**
+ * Forecast summary the analysis prompt can quote, without the burn-up series
+ * @param {Array<Object>} forecasts - Result of forecastEpics
+ * @returns {Array<Object>}
+ */
+export const forecastBrief = (forecasts) =>
+  forecasts.map(({ epic, summary, dueDate, unit, remaining, completionPercentage, forecast, status }) => ({
+    epic,
+    summary,
+    dueDate: dueDate?.toISOString().slice(0, 10) ?? null,
+    completionPercentage,
+    remaining: `${remaining} ${unit}`,
+    forecastP50: forecast?.p50.toISOString().slice(0, 10) ?? null,
+    forecastP85: forecast?.p85.toISOString().slice(0, 10) ?? null,
+    status,
+  }));
@@ -0,0 +1,131 @@
+// services/healthTrends.js
+// Time series and report-to-report deltas over stored ProjectHealth reports.
+// Reports are bucketed in UTC; weeks start on Monday.
+
+export const TREND_BUCKETS = ["day", "week"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the bucket a date falls into
+ * @param {Date} date - Report time
+ * @param {string} bucket - "day" or "week"
+ * @returns {Date} - UTC midnight of the day, or of the Monday of the week
+ */
+export const bucketStart = (date, bucket) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (bucket === "week") {
+    // getUTCDay: Sunday 0 ... Saturday 6
+    day.setTime(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  return day;
+};
+
+const average = (values) => {
+  const numbers = values.filter((value) => typeof value === "number");
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 10) / 10;
+};
+
+const openRisks = (risks = []) => risks.filter((risk) => risk.mitigationStatus !== "COMPLETED");
+
+// Risk counts of one report: total, still open, and open per impact level
+const riskCounts = (report) => {
+  const risks = report.metrics?.projectRiskFactors || [];
+  const open = openRisks(risks);
+  return {
+    total: risks.length,
+    open: open.length,
+    HIGH: open.filter((risk) => risk.impact === "HIGH").length,
+    MEDIUM: open.filter((risk) => risk.impact === "MEDIUM").length,
+    LOW: open.filter((risk) => risk.impact === "LOW").length,
+  };
+};
+
+/**
+ * Group reports into day/week points. Scores and velocity are averaged over
+ * the bucket; issue and risk counts are those of the bucket's latest report,
+ * since they describe the state of the project rather than a rate.
+ * @param {Array<Object>} reports - ProjectHealth reports sorted by createdAt ascending
+ * @param {string} bucket - "day" or "week"
+ * @returns {Array<Object>} - [{ bucketStart, reports, score, velocity, completionPercentage,
+ *   projectHealth, issueStatus, risks }]
+ */
+export const buildTrendSeries = (reports, bucket) => {
+  const buckets = new Map();
+  for (const report of reports) {
+    const key = bucketStart(new Date(report.createdAt), bucket).toISOString();
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(report);
+  }
+
+  return [...buckets.entries()].map(([start, members]) => {
+    const latest = members[members.length - 1];
+    return {
+      bucketStart: start,
+      reports: members.length,
+      score: average(members.map((report) => report.score)),
+      velocity: average(members.map((report) => report.metrics?.velocity)),
+      completionPercentage: average(members.map((report) => report.metrics?.completionPercentage)),
+      projectHealth: latest.projectHealth,
+      issueStatus: latest.metrics?.issueStatus || null,
+      risks: riskCounts(latest),
+    };
+  });
+};
+
+// Risk register id when the report has been through services/riskRegister.js;
+// older reports fall back to the normalised description since the model's own
+// ids ("risk1") change from run to run
+const riskKey = (risk) =>
+  risk.riskId
+    ? String(risk.riskId)
+    : String(risk.description || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+const difference = (after, before) =>
+  typeof after === "number" && typeof before === "number" ? Math.round((after - before) * 10) / 10 : null;
+
+const summary = (report) => ({
+  id: report._id,
+  createdAt: report.createdAt,
+  projectHealth: report.projectHealth,
+  score: report.score,
+});
+
+/**
+ * What changed between two reports
+ * @param {Object} base - Earlier report
+ * @param {Object} target - Later report
+ * @returns {Object} - { base, target, scoreChange, velocityChange, completionChange, healthChange,
+ *   issueStatusChange, newRisks, resolvedRisks, ongoingRisks }
+ */
+export const compareReports = (base, target) => {
+  const baseRisks = new Map(openRisks(base.metrics?.projectRiskFactors).map((risk) => [riskKey(risk), risk]));
+  const targetRisks = target.metrics?.projectRiskFactors || [];
+  const targetOpen = new Map(openRisks(targetRisks).map((risk) => [riskKey(risk), risk]));
+
+  const baseStatus = base.metrics?.issueStatus || {};
+  const targetStatus = target.metrics?.issueStatus || {};
+
+  return {
+    base: summary(base),
+    target: summary(target),
+    scoreChange: difference(target.score, base.score),
+    velocityChange: difference(target.metrics?.velocity, base.metrics?.velocity),
+    completionChange: difference(target.metrics?.completionPercentage, base.metrics?.completionPercentage),
+    healthChange: base.projectHealth === target.projectHealth ? null : { from: base.projectHealth, to: target.projectHealth },
+    issueStatusChange: {
+      open: difference(targetStatus.open, baseStatus.open),
+      inProgress: difference(targetStatus.inProgress, baseStatus.inProgress),
+      closed: difference(targetStatus.closed, baseStatus.closed),
+    },
+    // Open now but not before
+    newRisks: [...targetOpen.entries()].filter(([key]) => !baseRisks.has(key)).map(([, risk]) => risk),
+    // Open before, and now either gone or marked completed
+    resolvedRisks: [...baseRisks.entries()].filter(([key]) => !targetOpen.has(key)).map(([, risk]) => risk),
+    ongoingRisks: [...targetOpen.keys()].filter((key) => baseRisks.has(key)).length,
+  };
+};
@@ -0,0 +1,87 @@
+// services/jiraMetrics.js
+// Deterministic project metrics from parsed Jira issues (services/exportParsers.js).
+// These replace the numbers the model used to guess.
+
+const DONE_STATUSES = ["closed", "done", "resolved", "released", "completed", "won't do", "won't fix", "cancelled"];
+const IN_PROGRESS_STATUSES = ["in progress", "in review", "code review", "review", "in qa", "qa", "testing", "in development", "blocked"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a workflow status name onto open / inProgress / closed
+ * @param {string|null} status - Jira status name
+ * @returns {string} - "open" | "inProgress" | "closed"
+ */
+export const statusCategory = (status) => {
+  const name = (status || "").toLowerCase();
+  if (DONE_STATUSES.includes(name)) return "closed";
+  if (IN_PROGRESS_STATUSES.includes(name)) return "inProgress";
+  return "open";
+};
+
+/**
+ * When an issue was finished. jira.rb exports no resolution date for most
+ * issues, so the last update of a closed issue stands in for it.
+ * @returns {Date|null}
+ */
+export const completedAt = (issue) =>
+  statusCategory(issue.status) === "closed" ? issue.resolved || issue.updated || null : null;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+/**
+ * Compute the numeric part of the health report
+ * @param {Array<Object>} issues - Typed issues from parseJiraIssues; epics are containers
+ *   and are left out of every count
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for the throughput window
+ * @param {number} [options.windowDays] - Throughput window length
+ * @returns {Object} - { issueStatus, storyPoints, completionPercentage, velocity, throughput, assigneeLoad }
+ *   velocity is the story points finished per week over the window (throughput.pointsPerWeek),
+ *   completionPercentage the share of issues closed (0-100), throughput what was finished
+ *   inside the window
+ */
+export const computeJiraMetrics = (issues, { now = new Date(), windowDays = 28 } = {}) => {
+  const issueStatus = { open: 0, inProgress: 0, closed: 0 };
+  const storyPoints = { total: 0, done: 0, remaining: 0 };
+  const throughput = { windowDays, issuesCompleted: 0, pointsCompleted: 0, pointsPerWeek: 0 };
+  const load = new Map();
+  const windowStart = now.getTime() - windowDays * DAY_MS;
+
+  const workItems = issues.filter((issue) => !/epic/i.test(issue.type || ""));
+
+  for (const issue of workItems) {
+    const category = statusCategory(issue.status);
+    const points = issue.storyPoints || 0;
+    issueStatus[category]++;
+
+    storyPoints.total += points;
+    if (category === "closed") storyPoints.done += points;
+    else storyPoints.remaining += points;
+
+    const finished = completedAt(issue);
+    if (finished && finished.getTime() >= windowStart && finished.getTime() <= now.getTime()) {
+      throughput.issuesCompleted++;
+      throughput.pointsCompleted += points;
+    }
+
+    const assignee = issue.assignee || "Unassigned";
+    if (!load.has(assignee)) load.set(assignee, { assignee, open: 0, inProgress: 0, closed: 0, remainingPoints: 0 });
+    const entry = load.get(assignee);
+    entry[category]++;
+    if (category !== "closed") entry.remainingPoints += points;
+  }
+
+  throughput.pointsPerWeek = Math.round((throughput.pointsCompleted / windowDays) * 7 * 10) / 10;
+
+  return {
+    issueStatus,
+    storyPoints,
+    completionPercentage: percent(issueStatus.closed, workItems.length),
+    velocity: throughput.pointsPerWeek,
+    throughput,
+    assigneeLoad: [...load.values()].sort(
+      (a, b) => b.remainingPoints - a.remainingPoints || b.open + b.inProgress - (a.open + a.inProgress)
+    ),
+  };
+};
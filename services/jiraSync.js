@@ -0,0 +1,223 @@
+// services/jiraSync.js
+// Incremental Jira sync. A project's issues are stored in JiraIssue, keyed by
+// issue key with Jira's `updated` time. The first sync of an epic fetches the
+// whole tree; later syncs only ask Jira for issues updated since the last one
+// and merge them in. Tree membership is re-listed on every sync (parent links
+// only, no issue bodies) so issues moved out of an epic or deleted are noticed.
+import JiraIssue from "../models/JiraIssue.js";
+import {
+  createJiraClient,
+  extractIssueKeys,
+  normalizeIssue,
+  describeRequestError,
+  categorizeJiraError,
+} from "../fetches/jiraClient.js";
+import { formatJiraExport } from "../fetches/jira.js";
+
+// Added to the "updated in the last N minutes" window: JQL compares at minute
+// precision and the Jira clock is not ours
+const SYNC_OVERLAP_MINUTES = 5;
+// Keys per `parent in (...)` clause, keeps the JQL well under URL length limits
+const JQL_KEY_BATCH = 50;
+
+const isEpic = (rawIssue) => /epic/i.test(rawIssue.fields?.issuetype?.name || "");
+
+const batches = (items, size) => {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) result.push(items.slice(i, i + size));
+  return result;
+};
+
+// Structured issue (fetches/jiraClient.js shape) <-> JiraIssue fields
+const toDocument = ({ project, ...issue }) => ({ ...issue, jiraProject: project });
+const toStructured = (document) => {
+  const { jiraProject, ...issue } = document.toObject();
+  return { ...issue, project: jiraProject?.key ? jiraProject : null };
+};
+
+// Issues whose parent is one of `parentKeys`, optionally narrowed by extra JQL
+const childrenOf = async (client, parentKeys, { filter = "", fields } = {}) => {
+  const issues = [];
+  for (const batch of batches(parentKeys, JQL_KEY_BATCH)) {
+    const clause = batch.length === 1 ? `parent = ${batch[0]}` : `parent in (${batch.join(", ")})`;
+    issues.push(...(await client.searchIssues(`${clause}${filter}`, fields ? { fields } : undefined)));
+  }
+  return issues;
+};
+
+/**
+ * Fetch a whole epic/issue tree
+ * @returns {Promise<Object>} - { fetched: [{ issue, role }], members: Set of keys, failures }
+ */
+const fetchFullTree = async (client, rootKey) => {
+  const { trees, failures } = await client.fetchIssueTree([rootKey]);
+  if (trees.length === 0) return { fetched: null, members: null, failures };
+
+  const [{ issue, epicIssues, subtasks }] = trees;
+  const fetched = [
+    { issue, role: "root" },
+    ...epicIssues.map((epicIssue) => ({ issue: epicIssue, role: "epicIssue" })),
+    ...subtasks.map((subtask) => ({ issue: subtask, role: "subtask" })),
+  ];
+  // Issues that failed to fetch are still members, don't drop what we stored for them
+  const members = new Set([...fetched.map(({ issue }) => issue.key), ...failures.map(({ issueKey }) => issueKey)]);
+  return { fetched, members, failures };
+};
+
+/**
+ * Fetch the tree root plus the issues below it updated in the last `minutes`
+ * @returns {Promise<Object>} - { fetched: [{ issue, role }], members: Set of keys, failures }
+ */
+const fetchChangedTree = async (client, rootKey, minutes) => {
+  const root = await client.fetchIssue(rootKey);
+  const childRole = isEpic(root) ? "epicIssue" : "subtask";
+
+  // Current membership: children, and for epics their subtasks
+  const children = await childrenOf(client, [rootKey], { fields: "parent" });
+  const childKeys = children.map((child) => child.key);
+  const grandchildren = isEpic(root) && childKeys.length ? await childrenOf(client, childKeys, { fields: "parent" }) : [];
+  const roles = new Map([
+    ...children.map((child) => [child.key, childRole]),
+    ...grandchildren.map((grandchild) => [grandchild.key, "subtask"]),
+  ]);
+
+  // Only the issues that changed since the last sync come back with their fields
+  const filter = ` AND updated >= "-${minutes}m"`;
+  const changed = [
+    ...(await childrenOf(client, [rootKey], { filter })),
+    ...(isEpic(root) && childKeys.length ? await childrenOf(client, childKeys, { filter }) : []),
+  ];
+
+  return {
+    fetched: [
+      { issue: root, role: "root" },
+      ...changed.filter((issue) => roles.has(issue.key)).map((issue) => ({ issue, role: roles.get(issue.key) })),
+    ],
+    members: new Set([rootKey, ...roles.keys()]),
+    failures: [],
+  };
+};
+
+/**
+ * Bring a project's stored Jira issues up to date. Falls back to a full fetch
+ * for epics never synced before, or for everything when `full` is set.
+ * @param {Object} project - Project document
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Refetch every tree instead of only changes
+ * @param {Object} [options.client] - createJiraClient options (baseUrl, credentials, timeout)
+ * @returns {Promise<Object>} - { mode, added, changed, removed, unchanged, failedFetches, failureReasons }
+ * @throws {Object} - Plain rejection object, like the fetchers, when jiraEpics holds no valid keys
+ */
+export const syncJiraIssues = async (project, { full = false, client: clientOptions } = {}) => {
+  const startedAt = new Date();
+  const rootKeys = extractIssueKeys(project.jiraEpics || []);
+  if (rootKeys.length === 0) {
+    throw {
+      success: false,
+      error: "No valid Jira links or issue keys found",
+      details: "Project jiraEpics must be Jira URLs or issue keys (e.g., PROJ-123)",
+    };
+  }
+
+  const client = createJiraClient(clientOptions);
+  const since = full ? null : project.jiraSyncedAt;
+  const minutes = since ? Math.ceil((startedAt - since) / 60000) + SYNC_OVERLAP_MINUTES : 0;
+  const summary = { mode: since ? "incremental" : "full", added: [], changed: [], removed: [], failureReasons: [] };
+
+  // Epics taken off the project
+  const dropped = await JiraIssue.find({ project: project._id, root: { $nin: rootKeys } }, "key");
+  if (dropped.length) {
+    await JiraIssue.deleteMany({ _id: { $in: dropped.map((issue) => issue._id) } });
+    summary.removed.push(...dropped.map((issue) => issue.key));
+  }
+
+  // An issue listed under two roots belongs to the first one
+  const claimed = new Set();
+
+  for (const rootKey of rootKeys) {
+    const stored = await JiraIssue.find({ project: project._id, root: rootKey }, "key updated");
+    const storedByKey = new Map(stored.map((issue) => [issue.key, issue]));
+
+    let result;
+    try {
+      result = since && stored.length > 0 ? await fetchChangedTree(client, rootKey, minutes) : await fetchFullTree(client, rootKey);
+    } catch (error) {
+      const reason = describeRequestError(error);
+      result = { fetched: null, failures: [{ issueKey: rootKey, reason, category: categorizeJiraError(reason) }] };
+    }
+    summary.failureReasons.push(...result.failures);
+    // Root could not be fetched: keep what we have for this tree
+    if (!result.fetched) continue;
+
+    const writes = [];
+    for (const { issue: rawIssue, role } of result.fetched) {
+      if (claimed.has(rawIssue.key)) continue;
+      claimed.add(rawIssue.key);
+
+      const issue = normalizeIssue(rawIssue, client.baseUrl);
+      const existing = storedByKey.get(issue.key);
+      if (!existing) summary.added.push(issue.key);
+      else if (existing.updated?.getTime() !== issue.updated?.getTime()) summary.changed.push(issue.key);
+
+      writes.push({
+        updateOne: {
+          filter: { project: project._id, key: issue.key },
+          update: { $set: { ...toDocument(issue), root: rootKey, role } },
+          upsert: true,
+        },
+      });
+    }
+    if (writes.length) await JiraIssue.bulkWrite(writes);
+
+    const gone = stored.filter((issue) => !result.members.has(issue.key));
+    if (gone.length) {
+      await JiraIssue.deleteMany({ _id: { $in: gone.map((issue) => issue._id) } });
+      summary.removed.push(...gone.map((issue) => issue.key));
+    }
+  }
+
+  // Dropped under one root and fetched under another: the issue moved, it didn't come and go
+  const moved = summary.added.filter((key) => summary.removed.includes(key));
+  summary.added = summary.added.filter((key) => !moved.includes(key));
+  summary.removed = summary.removed.filter((key) => !moved.includes(key));
+  summary.changed.push(...moved);
+
+  const total = await JiraIssue.countDocuments({ project: project._id });
+  summary.unchanged = total - summary.added.length - summary.changed.length;
+  summary.failedFetches = summary.failureReasons.length;
+
+  // A failed tree may have changes we never saw, so only move the mark when everything came back
+  if (summary.failureReasons.length === 0) {
+    project.jiraSyncedAt = startedAt;
+    await project.save();
+  }
+  return summary;
+};
+
+/**
+ * Build the jira_epic_data.txt style export from a project's stored issues
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} - { text, issueKeys }, text is null when nothing is stored
+ */
+export const buildJiraExport = async (project) => {
+  const rootKeys = extractIssueKeys(project.jiraEpics || []);
+  const issues = await JiraIssue.find({ project: project._id, root: { $in: rootKeys } }).sort({ created: 1 });
+
+  const trees = rootKeys
+    .map((rootKey) => {
+      const members = issues.filter((issue) => issue.root === rootKey);
+      const root = members.find((issue) => issue.role === "root");
+      if (!root) return null;
+      return {
+        issue: toStructured(root),
+        epicIssues: members.filter((issue) => issue.role === "epicIssue").map(toStructured),
+        subtasks: members.filter((issue) => issue.role === "subtask").map(toStructured),
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    text: trees.length ? formatJiraExport(trees, { issueKeys: rootKeys, links: project.jiraEpics }) : null,
+    issueKeys: issues.map((issue) => issue.key),
+  };
+};
@@ -0,0 +1,214 @@
+// services/llm/index.js
+// Picks and configures the chat model used by the analysis pipeline.
+// Settings come from the environment and can be overridden per request:
+//   LLM_PROVIDER      ollama (default) | openai | mock
+//   LLM_MODEL         model name, default gemma3:1b
+//   LLM_EMBED_MODEL   embedding model for the search index, default nomic-embed-text
+//   LLM_HOST          server URL, e.g. http://127.0.0.1:8080/v1 for llama.cpp / vLLM
+//   LLM_API_KEY       bearer token for OpenAI-compatible servers that need one
+//   LLM_TEMPERATURE   0 - 2
+//   LLM_CONTEXT_SIZE  context window in tokens, default 4096
+//   LLM_ALLOWED_HOSTS comma separated hosts a request may switch to
+//   LLM_TIMEOUT_MS    per chat or embedding call, default 300000 (5 minutes)
+//   LLM_RETRIES       retries of a failed or timed out model call, default 2
+//   LLM_RETRY_DELAY_MS first retry delay, doubled for each further retry, default 1000
+import { createOllamaProvider } from "./ollamaProvider.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+
+const PROVIDERS = {
+  ollama: createOllamaProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+// Ollama's own default num_ctx; small enough for the CPU-only boxes we run on
+const DEFAULT_CONTEXT_SIZE = 4096;
+// The reply reserve (1024 tokens) plus the analysis prompt without any source
+// text already take about this much; anything smaller can't hold a chunk
+const MIN_CONTEXT_SIZE = 2048;
+
+// A CPU-only box needs a few minutes for a long synthesis reply
+const DEFAULT_TIMEOUT_MS = 300000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+const DEFAULT_HOSTS = {
+  ollama: "http://127.0.0.1:11434",
+  openai: "http://127.0.0.1:8080/v1",
+};
+
+/**
+ * Raised for unknown providers or out of range settings
+ */
+export class LLMConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LLMConfigError";
+    this.statusCode = 422;
+  }
+}
+
+/**
+ * Raised when a chat call gets no complete reply within the call timeout
+ */
+export class LLMTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LLMTimeoutError";
+    this.statusCode = 504;
+  }
+}
+
+const toNumber = (value, name, { min, max, integer = false }) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new LLMConfigError(`${name} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}`);
+  }
+  return number;
+};
+
+// Hosts a request may point at. Anything else could be used to make the
+// server call arbitrary URLs, so only the configured host is allowed by default.
+const allowedHosts = () =>
+  (process.env.LLM_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim())
+    .filter(Boolean);
+
+/**
+ * Merge environment defaults with per-request overrides
+ * @param {Object} [overrides] - { provider, model, embedModel, host, temperature, contextSize, timeout,
+ *   retries, retryDelay }
+ * @returns {Object} - Resolved config
+ * @throws {LLMConfigError}
+ */
+export const resolveLLMConfig = (overrides = {}) => {
+  const env = process.env;
+  const provider = overrides.provider || env.LLM_PROVIDER || "ollama";
+  if (!PROVIDERS[provider]) {
+    throw new LLMConfigError(`Unknown LLM provider "${provider}" (expected ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const defaultHost = env.LLM_HOST || (provider === "ollama" && env.OLLAMA_HOST) || DEFAULT_HOSTS[provider];
+  if (overrides.host && overrides.host !== defaultHost && !allowedHosts().includes(overrides.host)) {
+    throw new LLMConfigError(`LLM host "${overrides.host}" is not in LLM_ALLOWED_HOSTS`);
+  }
+
+  return {
+    provider,
+    model: overrides.model || env.LLM_MODEL || "gemma3:1b",
+    embedModel: overrides.embedModel || env.LLM_EMBED_MODEL || "nomic-embed-text",
+    host: overrides.host || defaultHost,
+    apiKey: env.LLM_API_KEY,
+    temperature: toNumber(overrides.temperature ?? env.LLM_TEMPERATURE, "temperature", { min: 0, max: 2 }),
+    contextSize:
+      toNumber(overrides.contextSize ?? env.LLM_CONTEXT_SIZE, "contextSize", {
+        min: MIN_CONTEXT_SIZE,
+        max: 1048576,
+        integer: true,
+      }) ||
+      DEFAULT_CONTEXT_SIZE,
+    timeout:
+      toNumber(overrides.timeout ?? env.LLM_TIMEOUT_MS, "timeout", { min: 1, max: 3600000, integer: true }) ||
+      DEFAULT_TIMEOUT_MS,
+    retries:
+      toNumber(overrides.retries ?? env.LLM_RETRIES, "retries", { min: 0, max: 10, integer: true }) ?? DEFAULT_RETRIES,
+    retryDelay:
+      toNumber(overrides.retryDelay ?? env.LLM_RETRY_DELAY_MS, "retryDelay", { min: 0, max: 60000, integer: true }) ??
+      DEFAULT_RETRY_DELAY_MS,
+  };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Timeouts, connection failures, rate limits and server errors may pass;
+// a bad request or an unknown model won't
+const isRetryable = (error) => {
+  if (error instanceof LLMTimeoutError) return true;
+  const status = error.status_code ?? error.response?.status;
+  return status === undefined || status === 429 || status >= 500;
+};
+
+// One model call, aborted after `timeout` ms. The race makes sure a provider
+// that ignores the signal still can't hold the caller.
+const callWithTimeout = async (call, timeout) => {
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LLMTimeoutError(`Model call timed out after ${timeout} ms`));
+    }, timeout);
+  });
+  try {
+    return await Promise.race([call(controller.signal), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Give every chat and embedding call a timeout, and retry failed calls with
+// exponential backoff. A streamed reply that already sent tokens isn't retried:
+// the caller would see the text twice.
+const withCallPolicy = (provider, { timeout, retries, retryDelay }) => {
+  const withRetries = async (call) => {
+    for (let attempt = 1; ; attempt++) {
+      const state = { streamed: false };
+      try {
+        return await callWithTimeout((signal) => call(signal, state), timeout);
+      } catch (error) {
+        error.attempts = attempt;
+        if (attempt > retries || state.streamed || !isRetryable(error)) throw error;
+        const delay = retryDelay * 2 ** (attempt - 1);
+        console.warn(`Model call failed (${error.message}), retry ${attempt}/${retries} in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    ...provider,
+    chat: (request) =>
+      withRetries((signal, state) =>
+        provider.chat({
+          ...request,
+          signal,
+          onToken:
+            request.onToken &&
+            ((text) => {
+              state.streamed = true;
+              return request.onToken(text);
+            }),
+        })
+      ),
+    embed: (texts) => withRetries((signal) => provider.embed(texts, { signal })),
+  };
+};
+
+/**
+ * Build a chat provider: { name, model, embedModel, host, temperature, contextSize,
+ * chat({ messages, onToken }) => { content }, embed(texts) => vectors }. When onToken is given the reply is streamed and onToken is awaited
+ * with each piece of text. Chat and embedding calls time out after config.timeout ms
+ * (LLMTimeoutError) and are retried up to config.retries times; a rejected call carries the
+ * number of tries in `attempts`.
+ * @param {Object} [overrides] - Per-request settings, see resolveLLMConfig
+ */
+export const createLLMProvider = (overrides = {}) => {
+  const config = resolveLLMConfig(overrides);
+  return withCallPolicy(PROVIDERS[config.provider]({ ...config, responses: overrides.responses }), config);
+};
+
+/**
+ * Pick LLM overrides out of a query string or request body
+ * @param {Object} [source] - req.query or req.body.llm
+ */
+export const llmOptionsFrom = (source = {}) => {
+  const { provider, model, embedModel, host, temperature, contextSize } = source;
+  return Object.fromEntries(
+    Object.entries({ provider, model, embedModel, host, temperature, contextSize }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+};
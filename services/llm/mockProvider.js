@@ -0,0 +1,57 @@
+// services/llm/mockProvider.js
+import sampleProjectHealth from "../../schemas/projectHealthSample.js";
+
+const EMBEDDING_DIMENSIONS = 256;
+
+// Hashed bag of words: texts sharing words get similar vectors, which is
+// enough to exercise the search index without a model
+const embedText = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    let hash = 0;
+    for (const char of word) hash = (Math.imul(hash, 31) + char.charCodeAt(0)) >>> 0;
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+};
+
+/**
+ * Deterministic provider for tests and offline development. Replies come from
+ * `responses` in order when given (strings, or functions of the messages that
+ * may return a promise or throw, to play slow or failing models);
+ * otherwise prompts asking for JSON get the sample report and everything else
+ * gets a fixed summary of the prompt length.
+ * @param {Object} config - Resolved LLM config (see services/llm/index.js)
+ */
+export const createMockProvider = ({ model, embedModel, temperature, contextSize, responses = [] }) => {
+  const queue = [...responses];
+  const calls = [];
+
+  const defaultReply = (messages) => {
+    const prompt = messages.map((message) => message.content).join("\n");
+    if (/json/i.test(prompt)) {
+      return "```json\n" + JSON.stringify(sampleProjectHealth, null, 2) + "\n```";
+    }
+    return `Mock extraction: ${prompt.length} characters reviewed.`;
+  };
+
+  return {
+    name: "mock",
+    model,
+    embedModel,
+    host: null,
+    temperature,
+    contextSize,
+    calls,
+    chat: async ({ messages, onToken, signal }) => {
+      calls.push(messages);
+      const next = queue.length ? queue.shift() : defaultReply;
+      const content = typeof next === "function" ? await next(messages, { signal }) : next;
+      // Streamed word by word, the way a real model would send it
+      if (onToken) for (const token of content.match(/\S+\s*|\s+/g) || []) await onToken(token);
+      return { content };
+    },
+    embed: async (texts) => texts.map(embedText),
+  };
+};
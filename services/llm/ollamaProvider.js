@@ -0,0 +1,48 @@
+// services/llm/ollamaProvider.js
+import { Ollama } from "ollama";
+
+/**
+ * Chat provider backed by an Ollama server
+ * @param {Object} config - Resolved LLM config (see services/llm/index.js)
+ */
+export const createOllamaProvider = ({ model, embedModel, host, temperature, contextSize }) => {
+  const client = new Ollama({ host });
+  // The client can only abort all of its streams at once, so a call with its
+  // own signal gets a client whose requests carry that signal
+  const clientFor = (signal) =>
+    signal
+      ? new Ollama({
+          host,
+          fetch: (url, init = {}) =>
+            fetch(url, { ...init, signal: init.signal ? AbortSignal.any([init.signal, signal]) : signal }),
+        })
+      : client;
+
+  return {
+    name: "ollama",
+    model,
+    embedModel,
+    host,
+    temperature,
+    contextSize,
+    chat: async ({ messages, onToken, signal }) => {
+      const request = { model, messages, options: { temperature, num_ctx: contextSize } };
+      const client = clientFor(signal);
+      if (!onToken) {
+        const response = await client.chat(request);
+        return { content: response.message.content };
+      }
+
+      let content = "";
+      for await (const part of await client.chat({ ...request, stream: true })) {
+        content += part.message.content;
+        if (part.message.content) await onToken(part.message.content);
+      }
+      return { content };
+    },
+    embed: async (texts, { signal } = {}) => {
+      const { embeddings } = await clientFor(signal).embed({ model: embedModel, input: texts });
+      return embeddings;
+    },
+  };
+};
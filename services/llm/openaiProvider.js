@@ -0,0 +1,64 @@
+// services/llm/openaiProvider.js
+import axios from "axios";
+
+// Content deltas of a streamed chat completion ("data: {...}" lines, ended by "data: [DONE]").
+// Lines may end in LF, CRLF or CR (sse-starlette sends CRLF); a CR at the end of
+// a piece is held back in case its LF is in the next one.
+async function* streamedDeltas(stream) {
+  let buffer = "";
+  for await (const data of stream) {
+    buffer += data.toString();
+    const lines = buffer.split(/\r\n|\r(?!$)|\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      const payload = line.match(/^data:\s*(.*)$/)?.[1];
+      if (!payload || payload === "[DONE]") continue;
+      const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+/**
+ * Chat provider for OpenAI-compatible servers (llama.cpp server, vLLM, LM Studio, ...).
+ * The chat completions API has no context size parameter: contextSize is only used
+ * for prompt budgeting and must match what the server was started with.
+ * @param {Object} config - Resolved LLM config (see services/llm/index.js)
+ */
+export const createOpenAIProvider = ({ model, embedModel, host, temperature, contextSize, apiKey }) => {
+  const client = axios.create({
+    baseURL: host,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+  });
+
+  return {
+    name: "openai",
+    model,
+    embedModel,
+    host,
+    temperature,
+    contextSize,
+    chat: async ({ messages, onToken, signal }) => {
+      if (!onToken) {
+        const { data } = await client.post("/chat/completions", { model, messages, temperature }, { signal });
+        return { content: data.choices[0].message.content };
+      }
+
+      const { data } = await client.post(
+        "/chat/completions",
+        { model, messages, temperature, stream: true },
+        { responseType: "stream", signal }
+      );
+      let content = "";
+      for await (const delta of streamedDeltas(data)) {
+        content += delta;
+        await onToken(delta);
+      }
+      return { content };
+    },
+    embed: async (texts, { signal } = {}) => {
+      const { data } = await client.post("/embeddings", { model: embedModel, input: texts }, { signal });
+      return data.data.sort((a, b) => a.index - b.index).map(({ embedding }) => embedding);
+    },
+  };
+};
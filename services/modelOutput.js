@@ -0,0 +1,75 @@
+// services/modelOutput.js
+// Turning raw chat completions into validated JSON. Small local models
+// (gemma3:1b in particular) wrap JSON in prose, leave trailing commas, use
+// smart quotes and drop fields, so parsing is lenient and validation is strict.
+import Ajv from "ajv";
+import projectHealthReportSchema from "../schemas/projectHealthReport.js";
+
+// coerceTypes turns "78" into 78 and "true" into true instead of failing on it
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+const validateReport = ajv.compile(projectHealthReportSchema);
+
+/**
+ * Raised when the model still produces unusable output after every retry.
+ * Carries per-attempt diagnostics for the 502 response.
+ */
+export class ModelOutputError extends Error {
+  constructor(message, diagnostics) {
+    super(message);
+    this.name = "ModelOutputError";
+    this.statusCode = 502;
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Cheap textual fixes for the mistakes small models make most often
+const repairJson = (text) =>
+  text
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/^\s*\/\/.*$/gm, "")
+    .replace(/,\s*([}\]])/g, "$1");
+
+// The JSON candidate in a reply: a fenced block if present, else first { .. last }
+const findJsonText = (content) => {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced && fenced[1].trim().startsWith("{")) return fenced[1].trim();
+
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  return start !== -1 && end > start ? content.slice(start, end + 1) : null;
+};
+
+/**
+ * Pull a JSON object out of a model reply, repairing it if a plain parse fails
+ * @param {string} content - Assistant message content
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+export const parseModelJson = (content = "") => {
+  const text = findJsonText(content);
+  if (!text) return { value: null, error: "No JSON object found in response" };
+
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch {
+    try {
+      return { value: JSON.parse(repairJson(text)), error: null };
+    } catch (error) {
+      return { value: null, error: `Invalid JSON: ${error.message}` };
+    }
+  }
+};
+
+/**
+ * Validate (and type-coerce in place) an analysis against the report schema
+ * @param {Object} report - Parsed analysis
+ * @returns {Array<string>} - Human readable validation errors, empty when valid
+ */
+export const validateHealthReport = (report) => {
+  if (validateReport(report)) return [];
+  return validateReport.errors.map((error) => {
+    const where = error.instancePath || "(root)";
+    const allowed = error.params?.allowedValues ? ` (${error.params.allowedValues.join(", ")})` : "";
+    return `${where} ${error.message}${allowed}`;
+  });
+};
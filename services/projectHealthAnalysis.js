@@ -0,0 +1,553 @@
+// services/projectHealthAnalysis.js
+import fs from "fs";
+import ProjectHealth from "../models/ProjectHealth.js";
+import { parseModelJson, validateHealthReport, ModelOutputError } from "./modelOutput.js";
+import { createLLMProvider, LLMConfigError } from "./llm/index.js";
+import { chunkJiraExport, chunkConfluenceExport, chunkRetrievedBlocks } from "./chunking.js";
+import { parseJiraIssues, parseJiraExportRecords, parseConfluenceExportRecords } from "./exportParsers.js";
+import { computeJiraMetrics } from "./jiraMetrics.js";
+import { forecastEpics, applyForecasts, forecastBrief } from "./forecasting.js";
+import { collectSources, pickSources, validateCitations, resolveCitations } from "./citations.js";
+import { buildBlocks } from "./retrieval.js";
+import { indexBlocks, searchIndex } from "./embeddingIndex.js";
+import { extractionKey, readExtraction, writeExtraction } from "./extractionCache.js";
+import { estimateTokens, reduceExtractions, RESPONSE_RESERVE_TOKENS } from "./summarization.js";
+import { registerReportRisks } from "./riskRegister.js";
+import { loadTrackedRecommendations, registerReportRecommendations } from "./recommendationTracker.js";
+
+const JIRA_DATA_FILE = "./fetches/scripts/jira_epic_data.txt";
+const CONFLUENCE_DATA_FILE = "./fetches/scripts/confluence_documents_data.txt";
+
+// Bump whenever the extraction or analysis prompts change so stored reports
+// can be traced back to the prompt that produced them.
+const PROMPT_VERSION = "9";
+// How many times the model gets to answer (first try + repair prompts)
+const MAX_ANALYSIS_ATTEMPTS = Number(process.env.LLM_MAX_ATTEMPTS) || 3;
+// With retrieval on, the blocks closest to this query are analysed instead of the whole exports
+const RETRIEVAL_QUERY = "delivery risks, blockers, delays, scope changes, milestones, due dates and progress";
+const RETRIEVAL_LIMIT = 40;
+const MAX_RETRIEVAL_LIMIT = 500;
+// Smallest share of the final prompt each source's summary may get; less
+// leaves the analysis nothing to work from
+const MIN_SOURCE_TOKENS = 256;
+// Chunk extractions sent to the model at once
+const EXTRACTION_CONCURRENCY = Number(process.env.LLM_CONCURRENCY) || 2;
+
+/**
+ * Raised when not a single chunk could be extracted, so there is nothing to analyse
+ */
+export class ExtractionError extends Error {
+  constructor(message, diagnostics = []) {
+    super(message);
+    this.name = "ExtractionError";
+    this.statusCode = 502;
+    this.diagnostics = diagnostics;
+  }
+}
+
+// Issue keys / document IDs a chunk came from, as a line the model can quote
+const sourceLine = ({ issueKeys = [], documentIds = [] }) => {
+  const ids = [...issueKeys, ...documentIds];
+  return ids.length ? `Sources: ${ids.join(", ")}` : "Sources: unknown";
+};
+
+// Run fn over the items with at most `limit` calls in flight; results keep the items' order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+// Progress callbacks run from several workers at once; one that fails (a job
+// save, a closed stream) is logged instead of aborting the extraction
+const notify = async (callback, ...args) => {
+  try {
+    await callback(...args);
+  } catch (error) {
+    console.warn("Progress callback failed:", error.message);
+  }
+};
+
+// Extract metrics from each chunk, one extraction per chunk tagged with its sources,
+// `concurrency` chunks at a time. Replies are cached by chunk text, provider, host,
+// model, temperature and prompt version (services/extractionCache.js); refresh skips
+// the lookup and replaces the cached reply. A chunk the model fails on (after the
+// provider's retries) is left out and returned in `failures`. onChunk runs before
+// each chunk, onExtracted with each finished extraction or failure, cacheStats counts
+// hits and misses. Returns { extractions, failures }.
+const extractMetricsFromChunks = async (
+  llm,
+  chunks,
+  dataType,
+  { onChunk, onExtracted, refresh, cacheStats, concurrency }
+) => {
+  const results = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+    console.log(`Processing ${dataType} chunk ${index + 1}/${chunks.length}`);
+    if (onChunk) await notify(onChunk, index, chunks.length);
+
+    const key = extractionKey({
+      text: chunk.text,
+      dataType,
+      provider: llm.name,
+      host: llm.host,
+      model: llm.model,
+      temperature: llm.temperature,
+      promptVersion: PROMPT_VERSION,
+    });
+    let content = refresh ? null : await readExtraction(key);
+    const cached = content !== null;
+    let result;
+    if (cached) {
+      cacheStats.hits++;
+    } else {
+      cacheStats.misses++;
+      try {
+        ({ content } = await llm.chat({
+          messages: [
+            {
+              role: "system",
+              content: `Extract key project health metrics from this ${dataType} data chunk. Focus on quantitative data. After each metric or finding, tag the issue key or document ID it comes from with a short quote from it, like [A11Y-677: "blocked on API review"].`,
+            },
+            { role: "user", content: chunk.text },
+          ],
+        }));
+      } catch (error) {
+        console.warn(`${dataType} chunk ${index + 1}/${chunks.length} failed: ${error.message}`);
+        result = { ...chunk.metadata, dataType, error: error.message, attempts: error.attempts || 1 };
+      }
+      if (!result) {
+        await writeExtraction(key, content, {
+          provider: llm.name,
+          host: llm.host,
+          model: llm.model,
+          promptVersion: PROMPT_VERSION,
+          dataType,
+        });
+      }
+    }
+
+    result ??= {
+      ...chunk.metadata,
+      dataType,
+      cached,
+      extraction: `${sourceLine(chunk.metadata)}\n${content}`,
+    };
+    if (onExtracted) await notify(onExtracted, result, index);
+    return result;
+  });
+  return {
+    extractions: results.filter((result) => !result.error),
+    failures: results.filter((result) => result.error),
+  };
+};
+
+// Earlier advice for the project, so recommendations build on it instead of repeating it
+const trackedRecommendationMessages = ({ open = [], completed = [] } = {}) =>
+  open.length || completed.length
+    ? [
+        {
+          role: "user",
+          content: `Recommendations from earlier analyses, with the status the team has set (do not change these statuses):
+Open: ${JSON.stringify(open)}
+Completed: ${JSON.stringify(completed)}
+Do not repeat completed recommendations; build on them where the work continues. When an open recommendation still applies, include it with its id and title unchanged instead of rewording it. Only add new recommendations for problems these do not cover.`,
+        },
+      ]
+    : [];
+
+// Epic forecasts, so milestones follow the epics and the narrative quotes real dates
+const forecastMessages = (forecasts = []) =>
+  forecasts.length
+    ? [
+        {
+          role: "user",
+          content: `Epic forecasts (computed from throughput with a Monte Carlo simulation, do not contradict them): ${JSON.stringify(forecastBrief(forecasts))}
+Use one milestone per epic and put the epic key in its title.`,
+        },
+      ]
+    : [];
+
+// Records whose chunks couldn't be extracted, so the analysis doesn't read
+// missing data as good news
+const failedChunkMessages = (failedChunks = []) => {
+  const ids = [...new Set(failedChunks.flatMap(({ issueKeys = [], documentIds = [] }) => [...issueKeys, ...documentIds]))];
+  return failedChunks.length
+    ? [
+        {
+          role: "user",
+          content: `${failedChunks.length} data chunk(s) could not be extracted and are missing from the metrics above${ids.length ? ` (records: ${ids.join(", ")})` : ""}. Do not treat them as healthy; mention the gap in the analysis.`,
+        },
+      ]
+    : [];
+};
+
+// Prompt for the final analysis using extracted data. Counts, percentages and
+// forecasts are computed from the export; the model only writes the narrative
+// and risks, citing the records behind them.
+// context is { computedMetrics, forecasts, trackedRecommendations, sources, failedChunks }.
+const buildAnalysisMessages = (
+  jiraMetrics,
+  confluenceMetrics,
+  { computedMetrics, forecasts, trackedRecommendations, failedChunks }
+) => [
+  {
+    role: "system",
+    content: "Create a project health analysis in JSON format that can be parsed with JSON.parse",
+  },
+  {
+    role: "user",
+    content: `Computed Jira metrics (exact values calculated from the issues, do not contradict or re-estimate them): ${JSON.stringify(computedMetrics)}`,
+  },
+  { role: "user", content: `Jira metrics: ${jiraMetrics}` },
+  { role: "user", content: `Confluence metrics: ${confluenceMetrics}` },
+  ...failedChunkMessages(failedChunks),
+  ...forecastMessages(forecasts),
+  ...trackedRecommendationMessages(trackedRecommendations),
+  {
+    role: "user",
+    content: `Based on these metrics, create a project health analysis in the following JSON format (no comments, clean JSON).
+    Every risk factor, every milestone and the analysis text need citations: the issue keys or document IDs from the extracts above that support them, each with a short quote. Do not cite anything that is not in the extracts.
+    {
+      "projectHealth": "GREEN",
+      "score": 92,
+      "metrics": {
+        "teamPerformance": {
+            "engagement": 78,
+            "satisfaction": 72,
+            "velocity": 75
+        },
+        "projectRiskFactors": [
+            {
+                "id": "risk1",
+                "description": "Focus on Accessibility project",
+                "impact": "MEDIUM",
+                "mitigationStatus": "NOT_STARTED",
+                "citations": [{ "source": "A11Y-677", "excerpt": "blocked on API review" }]
+            }
+        ],
+        "milestones": [
+            {
+                "title": "Accessibility Milestone",
+                "description": "Post GA task briefs",
+                "status": "GREEN",
+                "completionPercentage": 60,
+                "dueDate": "2023-10-01",
+                "velocity": 78,
+                "riskFactors": [
+                    {
+                        "id": "risk1",
+                        "description": "Focus on Accessibility project",
+                        "impact": "MEDIUM",
+                        "mitigationStatus": "NOT_STARTED",
+                        "citations": [{ "source": "A11Y-677", "excerpt": "blocked on API review" }]
+                    }
+                ],
+                "citations": [{ "source": "A11Y-676", "excerpt": "Post GA task briefs" }]
+            }
+        ],
+        "recommendations": [
+            {
+                "id": "rec1",
+                "title": "Improve Team Velocity",
+                "description": "Focus on removing blockers and improving workflow",
+                "status": "NOT_STARTED"
+            }
+        ]
+      },
+      "analysis": "summary text",
+      "citations": [{ "source": "4010409990", "excerpt": "quote from the document" }]
+    }`,
+  },
+];
+
+const analysisPromptTokens = (context) =>
+  buildAnalysisMessages("", "", context).reduce((sum, { content }) => sum + estimateTokens(content), 0);
+
+// Tokens each source's summary may use in the final prompt
+const sourceTokenBudget = (llm, context) =>
+  Math.floor((llm.contextSize - analysisPromptTokens(context) - RESPONSE_RESERVE_TOKENS) / 2);
+
+// Keep diagnostics readable: the raw reply can be several KB
+const excerpt = (text, length = 500) => (text.length > length ? `${text.slice(0, length)}...` : text);
+
+/**
+ * Ask the model for the final analysis and validate it against the report schema.
+ * context holds the computed metrics, epic forecasts and the project's earlier
+ * advice, the records citations may name and the chunks that couldn't be extracted
+ * ({ computedMetrics, forecasts, trackedRecommendations, sources, failedChunks }).
+ * Each attempt is reported as synthesizing progress; with onToken(text, { attempt })
+ * the replies are streamed.
+ * Invalid replies are sent back with the validation errors, up to MAX_ANALYSIS_ATTEMPTS.
+ * @returns {Promise<Object>} - { analysis, attempts }
+ * @throws {ModelOutputError} - When no attempt produced a valid report
+ */
+const getProjectHealthAnalysis = async (llm, jiraMetrics, confluenceMetrics, context, { onProgress, onToken }) => {
+  const { computedMetrics, forecasts, sources } = context;
+  const messages = buildAnalysisMessages(jiraMetrics, confluenceMetrics, context);
+  const diagnostics = [];
+
+  for (let attempt = 1; attempt <= MAX_ANALYSIS_ATTEMPTS; attempt++) {
+    await onProgress("synthesizing", { current: attempt, total: MAX_ANALYSIS_ATTEMPTS });
+    const { content } = await llm.chat({
+      messages,
+      onToken: onToken && ((text) => onToken(text, { attempt })),
+    });
+
+    const { value, error } = parseModelJson(content);
+    let errors = error ? [error] : validateHealthReport(value);
+    if (errors.length === 0) errors = validateCitations(value, sources);
+    if (errors.length === 0) {
+      resolveCitations(value, sources);
+      // Computed numbers always win over anything the model put in their place
+      value.metrics = { ...value.metrics, ...computedMetrics, forecasts };
+      applyForecasts(value.metrics.milestones, forecasts);
+      return { analysis: value, attempts: attempt };
+    }
+
+    console.warn(`Analysis attempt ${attempt}/${MAX_ANALYSIS_ATTEMPTS} rejected: ${errors.join("; ")}`);
+    diagnostics.push({ attempt, errors, response: excerpt(content) });
+    messages.push(
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `Your response is not valid for the required format:\n- ${errors.join("\n- ")}\nReply with the complete corrected JSON object only, no comments or explanation.`,
+      }
+    );
+  }
+
+  throw new ModelOutputError(
+    `Model output failed validation after ${MAX_ANALYSIS_ATTEMPTS} attempts`,
+    diagnostics
+  );
+};
+
+// Tracked recommendations are context, not a requirement: analyse without them
+// rather than fail when the tracker can't be read
+const readTrackedRecommendations = async (project) => {
+  try {
+    return await loadTrackedRecommendations(project);
+  } catch (error) {
+    console.warn("Could not load tracked recommendations:", error.message);
+    return { open: [], completed: [] };
+  }
+};
+
+// The shared exports written by POST /api/sources/*
+export const readSharedExports = () => ({
+  jira: fs.readFileSync(JIRA_DATA_FILE, "utf-8"),
+  confluence: fs.readFileSync(CONFLUENCE_DATA_FILE, "utf-8"),
+});
+
+/**
+ * Retrieval settings from a query string (?retrieval=true&retrievalQuery=&retrievalLimit=)
+ * @param {Object} [source] - req.query
+ * @returns {Object|undefined} - analyzeProjectHealth retrieval option, unset when retrieval is off
+ */
+export const retrievalOptionsFrom = ({ retrieval, retrievalQuery, retrievalLimit } = {}) => {
+  if (retrieval !== "true") return undefined;
+  const limit = Number(retrievalLimit);
+  return {
+    query: retrievalQuery || RETRIEVAL_QUERY,
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_RETRIEVAL_LIMIT) : RETRIEVAL_LIMIT,
+  };
+};
+
+// Bring the project's embedding index up to date and chunk only the blocks
+// closest to the retrieval query
+const retrieveChunks = async (llm, project, data, { query = RETRIEVAL_QUERY, limit = RETRIEVAL_LIMIT }, chunkSize) => {
+  const index = await indexBlocks(project, buildBlocks(data), llm);
+  const hits = await searchIndex(project, query, llm, { limit });
+  return {
+    ...chunkRetrievedBlocks(hits.map(({ block }) => block), chunkSize),
+    retrieval: { query, limit, retrieved: hits.length, ...index },
+  };
+};
+
+/**
+ * Run the full project health pipeline over Jira/Confluence exports.
+ * @param {Object} [options]
+ * @param {Object} [options.data] - { jira, confluence } export texts, defaults to the
+ *   shared files in fetches/scripts
+ * @param {Function} [options.onProgress] - async (state, { current, total }) callback,
+ *   state is one of chunking/extracting/reducing/synthesizing (current is the attempt)
+ * @param {Function} [options.onChunk] - async ({ dataType, current, total, issueKeys, documentIds,
+ *   extraction }) callback after each chunk is extracted; a failed chunk has `error` and `attempts`
+ *   instead of `extraction`
+ * @param {Function} [options.onToken] - async (text, { attempt }) callback; streams the final
+ *   synthesis reply as the model writes it
+ * @param {Object} [options.llm] - Provider overrides, see services/llm/index.js
+ * @param {string} [options.project] - Project id whose tracked recommendations go into
+ *   the prompt and whose embedding index is used, unset for the shared exports
+ * @param {boolean} [options.refresh] - Ignore cached chunk extractions (they are replaced)
+ * @param {number} [options.concurrency] - Chunks extracted at once, LLM_CONCURRENCY by default
+ * @param {Object} [options.retrieval] - { query, limit }: analyse only the `limit` issues and
+ *   document sections most similar to `query` (see services/embeddingIndex.js); metrics and
+ *   forecasts still cover the whole export
+ * @returns {Promise<Object>} - { analysis, sources, processing, provider, model, promptVersion, attempts }
+ * @throws {ModelOutputError} - When the model never produced a schema-valid report
+ * @throws {ExtractionError} - When every chunk extraction failed; some failing only shows up in
+ *   processing.failedChunks
+ * @throws {LLMTimeoutError} - When a reduce or synthesis call timed out on every try
+ * @throws {LLMConfigError} - When the context window is too small for the prompt plus source text
+ * @throws {EmbeddingError} - When retrieval is on and the embedding model can't be reached
+ */
+export const analyzeProjectHealth = async ({
+  onProgress = async () => {},
+  onChunk = async () => {},
+  onToken,
+  llm: llmOptions,
+  data,
+  project,
+  retrieval,
+  refresh = false,
+  concurrency = EXTRACTION_CONCURRENCY,
+} = {}) => {
+  const llm = createLLMProvider(llmOptions);
+  const { jira: jiraData, confluence: confluenceData } = data || readSharedExports();
+
+  // Numbers and forecasts come straight from the export, not from the model
+  const issues = parseJiraIssues(jiraData);
+  const context = {
+    computedMetrics: computeJiraMetrics(issues),
+    forecasts: forecastEpics(issues),
+    trackedRecommendations: await readTrackedRecommendations(project),
+    sources: collectSources(parseJiraExportRecords(jiraData), parseConfluenceExportRecords(confluenceData)),
+  };
+
+  // Fail before any model call when the final prompt leaves no room for the sources
+  if (sourceTokenBudget(llm, context) < MIN_SOURCE_TOKENS) {
+    throw new LLMConfigError(
+      `contextSize ${llm.contextSize} leaves no room for source text: the analysis prompt takes ${analysisPromptTokens(context)} tokens and ${RESPONSE_RESERVE_TOKENS} are kept for the reply`
+    );
+  }
+
+  // Split into manageable chunks, small enough for one extraction call each
+  await onProgress("chunking");
+  const chunkSize = Math.min(5000, (llm.contextSize - RESPONSE_RESERVE_TOKENS) * 3);
+  const { jiraChunks, confluenceChunks, retrieval: retrievalStats } = retrieval
+    ? await retrieveChunks(llm, project, { jira: jiraData, confluence: confluenceData }, retrieval, chunkSize)
+    : {
+        jiraChunks: chunkJiraExport(jiraData, chunkSize),
+        confluenceChunks: chunkConfluenceExport(confluenceData, chunkSize),
+      };
+
+  // Extract metrics from each chunk, progress counts both sources together
+  const total = jiraChunks.length + confluenceChunks.length;
+  const cacheStats = { hits: 0, misses: 0, refresh };
+  const extractOptions = (offset) => ({
+    onChunk: (index) => onProgress("extracting", { current: offset + index + 1, total }),
+    onExtracted: (extraction, index) => onChunk({ ...extraction, current: offset + index + 1, total }),
+    refresh,
+    cacheStats,
+    concurrency,
+  });
+  const { extractions: jiraExtractions, failures: jiraFailures } = await extractMetricsFromChunks(
+    llm,
+    jiraChunks,
+    "Jira",
+    extractOptions(0)
+  );
+  const { extractions: confluenceExtractions, failures: confluenceFailures } = await extractMetricsFromChunks(
+    llm,
+    confluenceChunks,
+    "Confluence",
+    extractOptions(jiraChunks.length)
+  );
+  // Failed chunks are reported and left out; only nothing to analyse at all fails the run
+  const failedChunks = [...jiraFailures, ...confluenceFailures];
+  if (total > 0 && failedChunks.length === total) {
+    throw new ExtractionError(`All ${total} chunk extractions failed: ${failedChunks[0].error}`, failedChunks);
+  }
+  context.failedChunks = failedChunks;
+  // Only records the model actually read may be cited (retrieval mode and
+  // failed chunks leave some out)
+  context.sources = pickSources(
+    context.sources,
+    [...jiraExtractions, ...confluenceExtractions].flatMap(({ issueKeys = [], documentIds = [] }) => [
+      ...issueKeys,
+      ...documentIds,
+    ])
+  );
+
+  // Merge extractions until both fit the final prompt, split evenly between sources
+  const sourceBudget = Math.max(sourceTokenBudget(llm, context), MIN_SOURCE_TOKENS);
+  const onRound = (round) => onProgress("reducing", { current: round, total: 0 });
+  const texts = (extractions) => extractions.map(({ extraction }) => extraction);
+  const jiraSummary = await reduceExtractions(llm, texts(jiraExtractions), "Jira", sourceBudget, onRound);
+  const confluenceSummary = await reduceExtractions(
+    llm,
+    texts(confluenceExtractions),
+    "Confluence",
+    sourceBudget,
+    onRound
+  );
+
+  // Final analysis using the extracted metrics
+  const { analysis, attempts } = await getProjectHealthAnalysis(llm, jiraSummary.text, confluenceSummary.text, context, {
+    onProgress,
+    onToken,
+  });
+
+  return {
+    analysis,
+    attempts,
+    sources: {
+      jiraKeys: [...new Set(jiraChunks.flatMap((chunk) => chunk.metadata.issueKeys))],
+      confluenceIds: [...new Set(confluenceChunks.flatMap((chunk) => chunk.metadata.documentIds))],
+    },
+    processing: {
+      chunksProcessed: total,
+      jiraChunks: jiraChunks.length,
+      confluenceChunks: confluenceChunks.length,
+      reduceRounds: jiraSummary.rounds + confluenceSummary.rounds,
+      contextSize: llm.contextSize,
+      retrieval: retrievalStats,
+      // Chunk extractions answered from the cache (hits) and by the model (misses)
+      cache: cacheStats,
+      // Per-chunk extractions with the records they came from, for tracing metrics back
+      chunks: [...jiraExtractions, ...confluenceExtractions],
+      // Chunks the model failed on, left out of the analysis
+      failedChunks,
+    },
+    provider: llm.name,
+    model: llm.model,
+    promptVersion: PROMPT_VERSION,
+  };
+};
+
+/**
+ * Store a successful analysis run as a ProjectHealth report and match its
+ * risks and recommendations against the tracked ones.
+ * Saving is best effort: a failed save should not throw away an analysis
+ * the caller can still use.
+ * @param {Object} run - Result of analyzeProjectHealth
+ * @returns {Promise<Object|null>} - The saved report, or null if nothing was saved
+ */
+export const saveAnalysisReport = async ({ analysis, project, sources, processing, provider, model, promptVersion }) => {
+  if (!analysis) return null;
+  let report;
+  try {
+    report = await ProjectHealth.create({ ...analysis, project, sources, processing, provider, model, promptVersion });
+  } catch (error) {
+    console.error("Failed to save project health report:", error.message);
+    return null;
+  }
+  try {
+    await registerReportRisks(report);
+  } catch (error) {
+    console.error(`Failed to update the risk register for report ${report._id}:`, error.message);
+  }
+  try {
+    await registerReportRecommendations(report);
+  } catch (error) {
+    console.error(`Failed to track the recommendations of report ${report._id}:`, error.message);
+  }
+  return report;
+};
@@ -0,0 +1,103 @@
+// services/projectQA.js
+// Answers questions about a project from its latest source snapshots: the
+// relevant issue and document blocks are retrieved (services/retrieval.js)
+// and the model answers from those alone, citing what it used.
+import Conversation from "../models/Conversation.js";
+import { createLLMProvider } from "./llm/index.js";
+import { loadProjectSources } from "./projectSources.js";
+import { parseJiraExportRecords, parseConfluenceExportRecords } from "./exportParsers.js";
+import { collectSources } from "./citations.js";
+import { buildBlocks, retrieveBlocks } from "./retrieval.js";
+import { estimateTokens, RESPONSE_RESERVE_TOKENS } from "./summarization.js";
+
+// Earlier messages sent back with a follow-up (3 questions and their answers)
+const HISTORY_MESSAGES = 6;
+// Earlier questions added to the retrieval query, so "and which are blocked?"
+// still finds the records the thread is about
+const QUERY_HISTORY_QUESTIONS = 2;
+
+const SYSTEM_PROMPT = `You answer questions about a software project using only the Jira issues and Confluence documents given with each question.
+After each fact, cite the issue key or document ID it comes from in square brackets, like [A11Y-677] or [4010409990].
+If the records don't answer the question, say so instead of guessing.`;
+
+/**
+ * Thrown when a follow-up names a conversation this project doesn't have
+ */
+export class ConversationNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConversationNotFoundError";
+    this.statusCode = 404;
+  }
+}
+
+const recordsMessage = (blocks, question) =>
+  blocks.length
+    ? `Records:\n\n${blocks.map((block) => block.text).join("\n\n---\n\n")}\n\nQuestion: ${question}`
+    : `No records matched this question.\n\nQuestion: ${question}`;
+
+/**
+ * Ask a question about a project, optionally as a follow-up in a conversation
+ * @param {string} projectId - Project id
+ * @param {string} question - The question
+ * @param {Object} [options]
+ * @param {string} [options.conversationId] - Conversation to continue, a new one is started without it
+ * @param {Object} [options.llm] - Provider overrides, see services/llm/index.js
+ * @returns {Promise<Object>} - { conversationId, answer, citations, retrieved }
+ * @throws {MissingSourcesError} - When the project was never synced
+ * @throws {ConversationNotFoundError}
+ */
+export const askProject = async (projectId, question, { conversationId, llm: llmOptions } = {}) => {
+  const llm = createLLMProvider(llmOptions);
+
+  let conversation;
+  if (conversationId) {
+    conversation = await Conversation.findOne({ _id: conversationId, project: projectId });
+    if (!conversation) throw new ConversationNotFoundError("Conversation not found for this project");
+  } else {
+    conversation = new Conversation({ project: projectId, provider: llm.name, model: llm.model });
+  }
+
+  const { data } = await loadProjectSources(projectId);
+  const sources = collectSources(parseJiraExportRecords(data.jira), parseConfluenceExportRecords(data.confluence));
+
+  const history = conversation.messages.slice(-HISTORY_MESSAGES).map(({ role, content }) => ({ role, content }));
+  const earlierQuestions = conversation.messages
+    .filter(({ role }) => role === "user")
+    .slice(-QUERY_HISTORY_QUESTIONS)
+    .map(({ content }) => content);
+
+  // Whatever the prompt, history and answer leave is spent on records
+  const fixedTokens = [SYSTEM_PROMPT, question, ...history.map(({ content }) => content)].reduce(
+    (sum, text) => sum + estimateTokens(text),
+    0
+  );
+  const budget = Math.max(0, llm.contextSize - RESPONSE_RESERVE_TOKENS - fixedTokens - 50);
+  const blocks = retrieveBlocks([question, ...earlierQuestions].join("\n"), buildBlocks(data), budget);
+
+  const { content: answer } = await llm.chat({
+    messages: [
+      { role: "system", content: SYSTEM_PROMPT },
+      ...history,
+      { role: "user", content: recordsMessage(blocks, question) },
+    ],
+  });
+
+  // Only records the model was given count as citations; anything else it
+  // names is not evidence
+  const retrieved = [...new Set(blocks.map((block) => block.id))];
+  const citations = retrieved
+    .filter((id) => new RegExp(`(^|[^\\w-])${id.replace(/[-]/g, "\\-")}(?![\\w-])`).test(answer))
+    .map((id) => {
+      const { type, title, url } = sources.get(id) || {};
+      return { source: id, type, title, url };
+    });
+
+  conversation.messages.push(
+    { role: "user", content: question },
+    { role: "assistant", content: answer, citations, retrieved }
+  );
+  await conversation.save();
+
+  return { conversationId: conversation._id, answer, citations, retrieved };
+};
@@ -0,0 +1,104 @@
+// services/projectSources.js
+// Per-project sources. Each project fetches its own Jira epics and Confluence
+// pages into SourceSnapshot documents rather than the shared fetches/scripts
+// exports, so syncs for different projects can't overwrite each other.
+import SourceSnapshot from "../models/SourceSnapshot.js";
+import { fetchConfluenceExport } from "../fetches/confluence.js";
+import { analyzeProjectHealth } from "./projectHealthAnalysis.js";
+import { syncJiraIssues, buildJiraExport } from "./jiraSync.js";
+
+export class MissingSourcesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MissingSourcesError";
+    this.statusCode = 409;
+  }
+}
+
+/**
+ * Sync a project's Jira epics and fetch its Confluence pages into new
+ * snapshots. Jira issues are synced incrementally (see services/jiraSync.js)
+ * and the snapshot is rebuilt from the stored issues. Sources without
+ * references are skipped; a fetch that returns nothing keeps the previous
+ * snapshot as the latest one.
+ * @param {Object} project - Project document
+ * @param {Object} [options]
+ * @param {boolean} [options.full] - Refetch every Jira issue instead of only changes
+ * @returns {Promise<Object>} - { jira, confluence } sync summaries with the new snapshot ids
+ * @throws {Object} - The fetchers' plain rejection objects for invalid references
+ */
+export const syncProjectSources = async (project, { full = false } = {}) => {
+  const summary = {};
+
+  if (project.jiraEpics?.length) {
+    const sync = await syncJiraIssues(project, { full });
+    const { text, issueKeys } = await buildJiraExport(project);
+    const snapshot = text
+      ? await SourceSnapshot.create({
+          project: project._id,
+          source: "jira",
+          references: project.jiraEpics,
+          items: issueKeys,
+          failures: sync.failureReasons,
+          content: text,
+        })
+      : null;
+    summary.jira = { snapshot: snapshot?._id || null, ...sync };
+  }
+
+  if (project.confluencePages?.length) {
+    const { response, exportText } = await fetchConfluenceExport(project.confluencePages);
+    const snapshot = exportText
+      ? await SourceSnapshot.create({
+          project: project._id,
+          source: "confluence",
+          references: project.confluencePages,
+          items: response.documents.map((document) => document.id),
+          failures: response.failureReasons || [],
+          content: exportText,
+        })
+      : null;
+    summary.confluence = {
+      snapshot: snapshot?._id || null,
+      successfulFetches: response.successfulFetches,
+      failedFetches: response.failedFetches,
+      failureReasons: response.failureReasons || [],
+    };
+  }
+
+  project.lastSyncedAt = new Date();
+  await project.save();
+  return summary;
+};
+
+/**
+ * Latest Jira and Confluence export texts of a project
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object>} - { data: { jira, confluence }, snapshots: { jiraSnapshot, confluenceSnapshot } }
+ * @throws {MissingSourcesError} - When the project was never synced
+ */
+export const loadProjectSources = async (projectId) => {
+  const latest = (source) =>
+    SourceSnapshot.findOne({ project: projectId, source }).sort({ createdAt: -1 }).select("+content");
+  const [jira, confluence] = await Promise.all([latest("jira"), latest("confluence")]);
+
+  if (!jira && !confluence) {
+    throw new MissingSourcesError("Project has no source snapshots yet, sync it first");
+  }
+  return {
+    data: { jira: jira?.content || "", confluence: confluence?.content || "" },
+    snapshots: { jiraSnapshot: jira?._id, confluenceSnapshot: confluence?._id },
+  };
+};
+
+/**
+ * Run the analysis pipeline over a project's latest snapshots
+ * @param {string} projectId - Project id
+ * @param {Object} [options] - analyzeProjectHealth options (llm, onProgress)
+ * @returns {Promise<Object>} - analyzeProjectHealth result tagged with the project and snapshots
+ */
+export const analyzeProjectSources = async (projectId, options = {}) => {
+  const { data, snapshots } = await loadProjectSources(projectId);
+  const run = await analyzeProjectHealth({ ...options, data, project: projectId });
+  return { ...run, project: projectId, sources: { ...run.sources, ...snapshots } };
+};
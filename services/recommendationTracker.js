@@ -0,0 +1,94 @@
+// services/recommendationTracker.js
+// Keeps the recommendations of each report as trackable items, and hands the
+// tracked items back to the next analysis so the model builds on earlier
+// advice instead of repeating it.
+import Recommendation from "../models/Recommendation.js";
+import { findBestMatch } from "./textSimilarity.js";
+
+// Share of significant words two recommendations need in common to be the same item
+const RECOMMENDATION_MATCH_THRESHOLD = Number(process.env.RECOMMENDATION_MATCH_THRESHOLD) || 0.5;
+// Tracked items shown to the model per status group, most recently touched first
+const PROMPT_RECOMMENDATION_LIMIT = 15;
+
+const OPEN_STATUSES = ["NOT_STARTED", "IN_PROGRESS"];
+
+const recommendationText = ({ title, description }) => `${title || ""} ${description || ""}`;
+
+/**
+ * Open and completed recommendations of a project, as they are given to the
+ * analysis prompt. Ids are the tracker's ids so a restated item can be linked
+ * back without text matching.
+ * @param {string|null} project - Project id, null for the shared exports
+ * @returns {Promise<Object>} - { open, completed } arrays of { id, title, status, owner, dueDate }
+ */
+export const loadTrackedRecommendations = async (project) => {
+  const find = (status) =>
+    Recommendation.find({ project: project ?? null, status })
+      .sort({ updatedAt: -1 })
+      .limit(PROMPT_RECOMMENDATION_LIMIT)
+      .lean();
+  const [open, completed] = await Promise.all([find({ $in: OPEN_STATUSES }), find("COMPLETED")]);
+
+  const brief = ({ _id, title, status, owner, dueDate }) => ({
+    id: String(_id),
+    title,
+    status,
+    ...(owner && { owner }),
+    ...(dueDate && { dueDate: dueDate.toISOString().slice(0, 10) }),
+  });
+  return { open: open.map(brief), completed: completed.map(brief) };
+};
+
+/**
+ * Match a saved report's recommendations against the tracked items: link the
+ * ones the model restated (by tracker id, else by similar wording) and create
+ * the rest. A restated item keeps its tracked status, which people set, and
+ * the report is updated to show it.
+ * @param {Object} report - Saved ProjectHealth document
+ * @returns {Promise<Object>} - { created, updated } counts
+ */
+export const registerReportRecommendations = async (report) => {
+  const recommendations = report.metrics?.recommendations || [];
+  if (recommendations.length === 0) return { created: 0, updated: 0 };
+
+  const candidates = await Recommendation.find({ project: report.project ?? null });
+  const byId = new Map(candidates.map((item) => [String(item._id), item]));
+  const entry = { report: report._id };
+  const touched = new Map();
+  let created = 0;
+
+  for (const recommendation of recommendations) {
+    let item =
+      byId.get(recommendation.id) ||
+      findBestMatch(recommendationText(recommendation), candidates, {
+        textOf: recommendationText,
+        threshold: RECOMMENDATION_MATCH_THRESHOLD,
+        taken: new Set(touched.keys()),
+      })?.item;
+
+    if (!item) {
+      item = new Recommendation({
+        project: report.project,
+        title: recommendation.title,
+        description: recommendation.description,
+        status: recommendation.status,
+        firstSeenReport: report._id,
+        history: [{ event: "created", ...entry }],
+      });
+      candidates.push(item);
+      created++;
+    }
+
+    recommendation.recommendationId = item._id;
+    recommendation.status = item.status;
+    if (!touched.has(String(item._id))) {
+      item.set({ lastSeenReport: report._id, lastSeenAt: report.createdAt || new Date() });
+      item.occurrences += 1;
+      touched.set(String(item._id), item);
+    }
+  }
+
+  await Promise.all([...touched.values()].map((item) => item.save()));
+  await report.save();
+  return { created, updated: touched.size - created };
+};
@@ -0,0 +1,135 @@
+// services/retrieval.js
+// Finds the export records relevant to a question. Jira issues are one block
+// each; Confluence documents are split into sections so a long page doesn't
+// crowd everything else out of the prompt. Blocks are ranked with BM25 over
+// their words, and records named in the question (plus an epic's issues) come first.
+import { parseJiraExportRecords, parseConfluenceExportRecords } from "./exportParsers.js";
+import { estimateTokens } from "./summarization.js";
+
+// Confluence sections are cut at paragraph boundaries around this size
+const SECTION_CHARS = 1500;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Named records outrank any word match; issues of a named epic come right after
+const NAMED_BOOST = 1000;
+const EPIC_BOOST = 500;
+
+const STOP_WORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "for", "with", "by", "at", "from", "is", "are",
+  "be", "was", "were", "it", "its", "this", "that", "these", "those", "as", "what", "which", "who", "how",
+  "does", "do", "did", "have", "has", "any", "about", "there", "their", "them", "we", "our", "say", "says",
+]);
+
+const ISSUE_KEY = /\b[A-Z][A-Z0-9_]+-\d+\b/g;
+
+const terms = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+
+// Paragraph groups of roughly SECTION_CHARS, each prefixed with the document
+// header. Exports written by confluence.rb have the whole page on one line, so
+// oversized paragraphs are cut between sentences.
+const documentSections = (document) => {
+  const header = `Document ID: ${document.id}\nTitle: ${document.title || "Untitled"}`;
+  const pieces = document.content.split(/\n\s*\n/).flatMap((paragraph) =>
+    paragraph.length > SECTION_CHARS
+      ? paragraph.split(/(?<=[.!?])\s+/).map((sentence, index) => ({ text: sentence, joiner: index ? " " : "\n\n" }))
+      : [{ text: paragraph, joiner: "\n\n" }]
+  );
+  const sections = [];
+  let current = "";
+  for (const { text, joiner } of pieces) {
+    if (current && current.length + text.length > SECTION_CHARS) {
+      sections.push(current);
+      current = "";
+    }
+    current = current ? `${current}${joiner}${text}` : text;
+  }
+  if (current || sections.length === 0) sections.push(current);
+  return sections.map((section, index) => ({
+    id: document.id,
+    type: "confluence",
+    section: index + 1,
+    text: `${header}${sections.length > 1 ? ` (part ${index + 1}/${sections.length})` : ""}\n${section}`,
+  }));
+};
+
+/**
+ * Split a project's exports into retrievable blocks
+ * @param {Object} data - { jira, confluence } export texts
+ * @returns {Array<Object>} - [{ id, type, text, epic?, section? }]
+ */
+export const buildBlocks = ({ jira = "", confluence = "" }) => [
+  ...parseJiraExportRecords(jira).map(({ key, fields, text }) => ({
+    id: key,
+    type: "jira",
+    epic: fields.Epic && fields.Epic !== "N/A" ? fields.Epic : null,
+    text,
+  })),
+  ...parseConfluenceExportRecords(confluence).flatMap(documentSections),
+];
+
+/**
+ * Rank blocks for a query, best first. Blocks with no match are left out.
+ * @param {string} query - Question, optionally with earlier questions appended
+ * @param {Array<Object>} blocks - Result of buildBlocks
+ * @returns {Array<Object>} - [{ block, score }]
+ */
+export const rankBlocks = (query, blocks) => {
+  const queryTerms = [...new Set(terms(query))];
+  const named = new Set([...String(query).matchAll(ISSUE_KEY)].map(([key]) => key));
+  for (const block of blocks) if (block.type === "confluence" && query.includes(block.id)) named.add(block.id);
+
+  const documents = blocks.map((block) => {
+    const counts = new Map();
+    for (const term of terms(block.text)) counts.set(term, (counts.get(term) || 0) + 1);
+    return { counts, length: [...counts.values()].reduce((sum, count) => sum + count, 0) };
+  });
+  const averageLength = documents.reduce((sum, { length }) => sum + length, 0) / (documents.length || 1);
+  const idf = new Map(
+    queryTerms.map((term) => {
+      const containing = documents.filter(({ counts }) => counts.has(term)).length;
+      return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+    })
+  );
+
+  return blocks
+    .map((block, index) => {
+      const { counts, length } = documents[index];
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = counts.get(term) || 0;
+        if (frequency === 0) continue;
+        score +=
+          (idf.get(term) * frequency * (BM25_K1 + 1)) /
+          (frequency + BM25_K1 * (1 - BM25_B + (BM25_B * length) / averageLength));
+      }
+      if (named.has(block.id)) score += NAMED_BOOST;
+      else if (block.epic && named.has(block.epic)) score += EPIC_BOOST;
+      return { block, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Best blocks for a query that fit a token budget
+ * @param {string} query - Retrieval query
+ * @param {Array<Object>} blocks - Result of buildBlocks
+ * @param {number} budget - Tokens the blocks may use
+ * @returns {Array<Object>} - Blocks, best first
+ */
+export const retrieveBlocks = (query, blocks, budget) => {
+  const selected = [];
+  let used = 0;
+  for (const { block } of rankBlocks(query, blocks)) {
+    const tokens = estimateTokens(block.text);
+    if (used + tokens > budget) continue;
+    selected.push(block);
+    used += tokens;
+  }
+  return selected;
+};
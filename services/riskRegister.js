@@ -0,0 +1,117 @@
+// services/riskRegister.js
+// Matches the risks of each new report against the project's risk register.
+// The model invents ids like "risk1" on every run, so risks are matched on
+// their descriptions (see services/textSimilarity.js).
+import Risk from "../models/Risk.js";
+import { findBestMatch } from "./textSimilarity.js";
+
+// Share of significant words two descriptions need in common to be the same risk
+const RISK_MATCH_THRESHOLD = Number(process.env.RISK_MATCH_THRESHOLD) || 0.5;
+
+/**
+ * Best register entry for a description, if any is similar enough
+ * @param {string} description - Risk description from a report
+ * @param {Array<Object>} candidates - Risk documents, those already taken are skipped
+ * @param {Set<string>} taken - Ids of risks already matched in this report
+ * @returns {Object|null} - { risk, score }
+ */
+export const findMatchingRisk = (description, candidates, taken = new Set()) => {
+  const match = findBestMatch(description, candidates, {
+    textOf: (risk) => risk.description,
+    threshold: RISK_MATCH_THRESHOLD,
+    taken,
+  });
+  return match && { risk: match.item, score: match.score };
+};
+
+// Record a field change in the risk's history
+const track = (risk, field, to, entry) => {
+  if (to === undefined || risk[field] === to) return;
+  risk.history.push({ event: "updated", field, from: risk[field], to, ...entry });
+  risk[field] = to;
+};
+
+// Record what the analysis said about the mitigation, leaving the owner's status alone
+const trackReportedStatus = (risk, to, entry) => {
+  if (to === undefined || risk.reportedMitigationStatus === to) return;
+  risk.history.push({
+    event: "reported",
+    field: "mitigationStatus",
+    from: risk.reportedMitigationStatus,
+    to,
+    ...entry,
+  });
+  risk.reportedMitigationStatus = to;
+};
+
+/**
+ * Match a saved report's risks against the register: update matched risks,
+ * create the rest, and write the register ids back onto the report's risk
+ * factors and milestone risks. Mitigation status and state belong to the
+ * risk's owner: the model's status is kept in reportedMitigationStatus, a
+ * closed risk raised again stays closed (with a "reported" history line), and
+ * the report shows the tracked status.
+ * @param {Object} report - Saved ProjectHealth document
+ * @returns {Promise<Object>} - { created, updated } counts
+ */
+export const registerReportRisks = async (report) => {
+  const projectRisks = report.metrics?.projectRiskFactors || [];
+  const milestoneRisks = (report.metrics?.milestones || []).flatMap((milestone) => milestone.riskFactors || []);
+  if (projectRisks.length === 0 && milestoneRisks.length === 0) return { created: 0, updated: 0 };
+
+  const candidates = await Risk.find({ project: report.project ?? null });
+  const entry = { report: report._id };
+  const taken = new Set();
+  const touched = new Map();
+  // Milestone risks usually repeat a project risk under the same model id
+  const byModelId = new Map();
+  let created = 0;
+
+  // Project risks are matched one-to-one; milestone risks may share a register entry
+  const register = (factor, exclusive) => {
+    if (factor.id && byModelId.has(factor.id)) return byModelId.get(factor.id);
+
+    const match = findMatchingRisk(factor.description, candidates, exclusive ? taken : new Set());
+    let risk = match?.risk;
+    if (risk) {
+      if (risk.state === "CLOSED" && !touched.has(String(risk._id))) {
+        risk.history.push({ event: "reported", field: "state", from: "CLOSED", to: "OPEN", ...entry });
+      }
+      track(risk, "impact", factor.impact, entry);
+      trackReportedStatus(risk, factor.mitigationStatus, entry);
+    } else {
+      risk = new Risk({
+        project: report.project,
+        description: factor.description,
+        impact: factor.impact,
+        mitigationStatus: factor.mitigationStatus,
+        reportedMitigationStatus: factor.mitigationStatus,
+        firstSeenReport: report._id,
+        history: [{ event: "created", ...entry }],
+      });
+      candidates.push(risk);
+      created++;
+    }
+
+    taken.add(String(risk._id));
+    if (!touched.has(String(risk._id))) {
+      risk.set({ lastSeenReport: report._id, lastSeenAt: report.createdAt || new Date() });
+      risk.occurrences += 1;
+      touched.set(String(risk._id), risk);
+    }
+    if (factor.id) byModelId.set(factor.id, risk);
+    return risk;
+  };
+
+  const link = (exclusive) => (factor) => {
+    const risk = register(factor, exclusive);
+    factor.riskId = risk._id;
+    factor.mitigationStatus = risk.mitigationStatus;
+  };
+  projectRisks.forEach(link(true));
+  milestoneRisks.forEach(link(false));
+
+  await Promise.all([...touched.values()].map((risk) => risk.save()));
+  await report.save();
+  return { created, updated: touched.size - created };
+};
@@ -0,0 +1,225 @@
+// services/scheduler.js
+// In-process scheduler for project refreshes. Once a minute it looks for
+// projects whose cron schedule is due, takes the project's lock with an atomic
+// findOneAndUpdate (so several server instances sharing the database never
+// run the same project twice), syncs the sources and runs an analysis job.
+// The lock is extended while the run is alive, so it only expires when the
+// process holding it dies. Every run, scheduled or manual, is recorded as a
+// ScheduledRun.
+import crypto from "crypto";
+import os from "os";
+import Project from "../models/Project.js";
+import ScheduledRun from "../models/ScheduledRun.js";
+import { syncProjectSources } from "./projectSources.js";
+import { runAnalysisJob } from "./analysisJobs.js";
+import { parseCron, nextRun } from "./cron.js";
+
+const TICK_INTERVAL_MS = 60 * 1000;
+// A lock not extended for this long belongs to a run that died with its process
+const LOCK_TTL_MS = (Number(process.env.SCHEDULE_LOCK_MINUTES) || 10) * 60 * 1000;
+// Live runs extend their lock this often, well inside the TTL
+const LOCK_RENEW_MS = LOCK_TTL_MS / 3;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+export class ProjectBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProjectBusyError";
+    this.statusCode = 409;
+  }
+}
+
+const lockFree = (now) => ({
+  $or: [{ "schedule.lockedUntil": null }, { "schedule.lockedUntil": { $lte: now } }],
+});
+
+// A fresh token per lock: a run only ever extends or releases its own lock
+const lockFields = (now, token) => ({
+  "schedule.lockedUntil": new Date(now.getTime() + LOCK_TTL_MS),
+  "schedule.lockedBy": INSTANCE_ID,
+  "schedule.lockToken": token,
+});
+
+const renewLock = async (projectId, token) => {
+  const { matchedCount } = await Project.updateOne(
+    { _id: projectId, "schedule.lockToken": token },
+    { $set: { "schedule.lockedUntil": new Date(Date.now() + LOCK_TTL_MS) } }
+  );
+  if (matchedCount === 0) console.warn(`Lost the lock on project ${projectId}; another run may start`);
+};
+
+const releaseLock = (projectId, token) =>
+  Project.updateOne(
+    { _id: projectId, "schedule.lockToken": token },
+    { $unset: { "schedule.lockedUntil": "", "schedule.lockedBy": "", "schedule.lockToken": "" } }
+  );
+
+// Extend the lock until the returned function is called
+const keepLockAlive = (projectId, token) => {
+  const renewal = setInterval(
+    () =>
+      renewLock(projectId, token).catch((error) =>
+        console.error(`Could not extend the lock on project ${projectId}:`, error)
+      ),
+    LOCK_RENEW_MS
+  );
+  return () => clearInterval(renewal);
+};
+
+// Take the project's lock now, outside its schedule
+const acquireLock = async (projectId) => {
+  const now = new Date();
+  const token = crypto.randomUUID();
+  const project = await Project.findOneAndUpdate(
+    { _id: projectId, ...lockFree(now) },
+    { $set: lockFields(now, token) },
+    { new: true }
+  );
+  if (!project) throw new ProjectBusyError("A run for this project is already in progress");
+  return { project, token };
+};
+
+// Sync, then analyse on the shared job queue; keeps the lock alive meanwhile
+// and always releases it
+const executeRun = async (run, project, token) => {
+  const stopRenewal = keepLockAlive(project._id, token);
+  try {
+    run.sync = await syncProjectSources(project);
+    run.state = "analyzing";
+    await run.save();
+
+    const job = await runAnalysisJob({}, project._id, async (queued) => {
+      run.job = queued._id;
+      await run.save();
+    });
+    if (job.state !== "done") throw new Error(job.error || "Analysis job failed");
+
+    run.set({ state: "done", report: job.report });
+  } catch (error) {
+    // Fetchers reject with plain objects for invalid references
+    console.error(`Run ${run._id} for project ${project._id} failed:`, error);
+    run.set({ state: "failed", error: error.message || error.error || String(error) });
+  } finally {
+    stopRenewal();
+    run.finishedAt = new Date();
+    await run.save().catch((error) => console.error(`Could not save run ${run._id}:`, error));
+    await releaseLock(project._id, token).catch((error) => console.error(`Could not unlock project ${project._id}:`, error));
+  }
+};
+
+const startRun = async (project, trigger, token) => {
+  const run = await ScheduledRun.create({ project: project._id, trigger, lockToken: token });
+  executeRun(run, project, token);
+  return run;
+};
+
+/**
+ * Start a refresh of a project now, outside its schedule
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object>} - The ScheduledRun, still in progress
+ * @throws {ProjectBusyError} - When another run holds the project
+ */
+export const triggerProjectRun = async (projectId) => {
+  const { project, token } = await acquireLock(projectId);
+  return startRun(project, "manual", token);
+};
+
+/**
+ * Run a manual sync or analysis while holding the project's lock, so it never
+ * overlaps a scheduled or triggered run
+ * @param {string} projectId - Project id
+ * @param {Function} fn - async (project) callback, given the locked Project document
+ * @returns {Promise<*>} - What fn returns
+ * @throws {ProjectBusyError} - When another run holds the project
+ */
+export const withProjectLock = async (projectId, fn) => {
+  const { project, token } = await acquireLock(projectId);
+  const stopRenewal = keepLockAlive(project._id, token);
+  try {
+    return await fn(project);
+  } finally {
+    stopRenewal();
+    await releaseLock(project._id, token).catch((error) => console.error(`Could not unlock project ${project._id}:`, error));
+  }
+};
+
+/**
+ * Validate and store a project's schedule, computing its next run
+ * @param {Object} project - Project document
+ * @param {Object} schedule - { cron, enabled }
+ * @returns {Promise<Object>} - The saved project
+ * @throws {CronError} - When the cron expression is invalid
+ */
+export const configureSchedule = async (project, { cron = project.schedule?.cron, enabled = true }) => {
+  const parsed = parseCron(cron);
+  project.set({
+    "schedule.cron": parsed.expression,
+    "schedule.enabled": enabled,
+    "schedule.nextRunAt": enabled ? nextRun(parsed) : undefined,
+  });
+  return project.save();
+};
+
+// Start every due project whose lock can be taken, moving its next run on
+const tick = async () => {
+  const now = new Date();
+  const due = await Project.find({ "schedule.enabled": true, "schedule.nextRunAt": { $lte: now } });
+
+  for (const candidate of due) {
+    let next;
+    try {
+      next = nextRun(candidate.schedule.cron, now);
+    } catch (error) {
+      console.error(`Disabling schedule of project ${candidate._id}: ${error.message}`);
+      await Project.updateOne({ _id: candidate._id }, { $set: { "schedule.enabled": false } });
+      continue;
+    }
+
+    // Matching on nextRunAt too means only one instance claims this occurrence
+    const token = crypto.randomUUID();
+    const project = await Project.findOneAndUpdate(
+      { _id: candidate._id, "schedule.nextRunAt": candidate.schedule.nextRunAt, ...lockFree(now) },
+      { $set: { ...lockFields(now, token), "schedule.nextRunAt": next } },
+      { new: true }
+    );
+    if (project) await startRun(project, "schedule", token);
+  }
+};
+
+/**
+ * Start the scheduler loop. Runs left unfinished by a crash are marked failed
+ * once their lock has expired (or been taken by another run), and enabled
+ * schedules without a next run get one.
+ * @returns {Function} - Stops the loop
+ */
+export const startScheduler = () => {
+  const init = async () => {
+    const now = new Date();
+    const unfinished = await ScheduledRun.find({ state: { $in: ["syncing", "analyzing"] } }).select("+lockToken");
+    for (const run of unfinished) {
+      const alive =
+        run.lockToken &&
+        (await Project.exists({
+          _id: run.project,
+          "schedule.lockToken": run.lockToken,
+          "schedule.lockedUntil": { $gt: now },
+        }));
+      if (alive) continue;
+      run.set({ state: "failed", error: "Run did not finish (server stopped?)", finishedAt: now });
+      await run.save();
+    }
+    const unscheduled = await Project.find({ "schedule.enabled": true, "schedule.nextRunAt": null });
+    for (const project of unscheduled) {
+      await configureSchedule(project, {}).catch((error) =>
+        console.error(`Invalid schedule on project ${project._id}: ${error.message}`)
+      );
+    }
+  };
+
+  const safeTick = () => tick().catch((error) => console.error("Scheduler tick failed:", error));
+  init()
+    .catch((error) => console.error("Failed to start scheduler:", error))
+    .then(safeTick);
+  const timer = setInterval(safeTick, TICK_INTERVAL_MS);
+  return () => clearInterval(timer);
+};
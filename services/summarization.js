@@ -0,0 +1,83 @@
+// services/summarization.js
+// Hierarchical (map-reduce) summarisation: chunk-level extractions are merged
+// in rounds until they fit the token budget of the final analysis prompt.
+
+// Rough English average for the tokenizers we use; errs on the large side
+const CHARS_PER_TOKEN = 4;
+// Tokens kept free in every call for the model's reply
+export const RESPONSE_RESERVE_TOKENS = 1024;
+// Stop merging after this many rounds and truncate instead; a model that
+// doesn't shorten its input will never converge
+const MAX_REDUCE_ROUNDS = 6;
+
+export const estimateTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const totalTokens = (texts) => texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+
+const mergeMessages = (dataType, extractions) => [
+  {
+    role: "system",
+    content: `Merge these ${dataType} project health extracts into one concise summary. Keep every number, issue key, document ID, date, risk and blocker, and the [source: "quote"] tag after each fact; drop repetition and prose.`,
+  },
+  { role: "user", content: extractions.map((text, index) => `Extract ${index + 1}:\n${text}`).join("\n\n") },
+];
+
+// Split extractions into consecutive groups whose combined size fits `limit`.
+// Every group holds at least two items so each round shrinks the list.
+const batchByTokens = (extractions, limit) => {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  for (const text of extractions) {
+    const tokens = estimateTokens(text);
+    if (current.length >= 2 && size + tokens > limit) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(text);
+    size += tokens;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+};
+
+/**
+ * Merge extractions until they fit `budgetTokens`
+ * @param {Object} llm - Chat provider
+ * @param {Array<string>} extractions - Chunk-level extraction texts
+ * @param {string} dataType - "Jira" / "Confluence", used in the prompt
+ * @param {number} budgetTokens - Token budget for the combined result
+ * @param {Function} [onRound] - async (round) callback before each merge round
+ * @returns {Promise<Object>} - { text, rounds }
+ */
+export const reduceExtractions = async (llm, extractions, dataType, budgetTokens, onRound) => {
+  // Merge prompts must fit the context window themselves
+  const mergeInputLimit = Math.max(llm.contextSize - RESPONSE_RESERVE_TOKENS - 200, 256);
+  let current = extractions;
+  let rounds = 0;
+
+  while (current.length > 1 && totalTokens(current) > budgetTokens && rounds < MAX_REDUCE_ROUNDS) {
+    rounds++;
+    if (onRound) await onRound(rounds);
+    console.log(`Reducing ${current.length} ${dataType} extracts (round ${rounds})`);
+
+    const merged = [];
+    for (const batch of batchByTokens(current, mergeInputLimit)) {
+      if (batch.length === 1) {
+        merged.push(batch[0]);
+        continue;
+      }
+      const response = await llm.chat({ messages: mergeMessages(dataType, batch) });
+      merged.push(response.content);
+    }
+    current = merged;
+  }
+
+  let text = current.join("\n\n");
+  if (estimateTokens(text) > budgetTokens) {
+    console.warn(`${dataType} summary still over budget after ${rounds} round(s), truncating`);
+    text = text.slice(0, budgetTokens * CHARS_PER_TOKEN);
+  }
+  return { text, rounds };
+};
@@ -0,0 +1,56 @@
+// services/textSimilarity.js
+// Word-overlap matching for the risk register and recommendation tracker.
+// The model rewords the same item slightly from run to run, so items are
+// matched on the Jaccard similarity of their significant words.
+
+const STOP_WORDS = new Set([
+  "a", "an", "the", "and", "or", "of", "to", "in", "on", "for", "with", "by", "at", "from", "is", "are",
+  "be", "been", "being", "was", "were", "it", "its", "this", "that", "these", "those", "as", "may", "might",
+  "could", "can", "will", "would", "should", "due", "into", "not", "no", "risk", "risks", "potential",
+]);
+
+/**
+ * Significant words of a text, lower-cased with a plural "s" dropped
+ * @param {string} text - Description or title
+ * @returns {Set<string>} - Word set
+ */
+export const significantWords = (text) =>
+  new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+      .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word))
+  );
+
+/**
+ * Jaccard similarity of two word sets
+ * @returns {number} - 0 (nothing shared) to 1 (same words)
+ */
+export const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Most similar candidate for a text, if any reaches the threshold
+ * @param {string} text - Text to match
+ * @param {Array<Object>} candidates - Documents to match against, those in taken are skipped
+ * @param {Object} options
+ * @param {Function} options.textOf - candidate => text to compare
+ * @param {number} options.threshold - Minimum similarity
+ * @param {Set<string>} [options.taken] - Ids of candidates already matched
+ * @returns {Object|null} - { item, score }
+ */
+export const findBestMatch = (text, candidates, { textOf, threshold, taken = new Set() }) => {
+  const words = significantWords(text);
+  let best = null;
+  for (const item of candidates) {
+    if (taken.has(String(item._id))) continue;
+    const score = similarity(words, significantWords(textOf(item)));
+    if (score >= threshold && (!best || score > best.score)) best = { item, score };
+  }
+  return best;
+};